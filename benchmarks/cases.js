@@ -0,0 +1,83 @@
+// Benchmark cases: each one runs the same workload with a Promise-like
+// constructor P, and resolves once the workload has been completed
+
+var LONG_CHAIN_LENGTH = 100000;
+var WIDE_ALL_WIDTH = 100000;
+var OBSERVERS = 20000;
+
+module.exports = [
+    {
+        name: "long chain (" + LONG_CHAIN_LENGTH + " then)",
+        ops: LONG_CHAIN_LENGTH,
+        run: function (P) {
+            var chain = P.resolve(0);
+            for (var i = 0; i < LONG_CHAIN_LENGTH; i++) {
+                chain = chain.then(function (value) { return value + 1; });
+            }
+            return chain;
+        },
+    },
+    {
+        name: "long chain built before resolution (" + LONG_CHAIN_LENGTH + " then)",
+        ops: LONG_CHAIN_LENGTH,
+        run: function (P) {
+            var resolveFn = null;
+            var chain = new P(function (resolve) { resolveFn = resolve; });
+            var head = chain;
+            for (var i = 0; i < LONG_CHAIN_LENGTH; i++) {
+                chain = chain.then(function (value) { return value + 1; });
+            }
+            resolveFn(0);
+            return head.then(function () { return chain; });
+        },
+    },
+    {
+        name: "rejection through a long chain (" + LONG_CHAIN_LENGTH + " then)",
+        ops: LONG_CHAIN_LENGTH,
+        run: function (P) {
+            var chain = P.reject(new Error("propagated"));
+            for (var i = 0; i < LONG_CHAIN_LENGTH; i++) {
+                chain = chain.then(function (value) { return value; });
+            }
+            return chain.catch(function () { });
+        },
+    },
+    {
+        name: "wide all (" + WIDE_ALL_WIDTH + " inputs)",
+        ops: WIDE_ALL_WIDTH,
+        run: function (P) {
+            var inputs = [];
+            for (var i = 0; i < WIDE_ALL_WIDTH; i++) {
+                inputs.push(new P(function (resolve) { resolve(i); }));
+            }
+            return P.all(inputs);
+        },
+    },
+    {
+        name: "many observers of one Promise (" + OBSERVERS + " then)",
+        ops: OBSERVERS,
+        run: function (P) {
+            var resolveFn = null;
+            var shared = new P(function (resolve) { resolveFn = resolve; });
+            var derived = [];
+            for (var i = 0; i < OBSERVERS; i++) {
+                derived.push(shared.then(function (value) { return value; }));
+            }
+            resolveFn(1);
+            return derived[derived.length - 1];
+        },
+    },
+];
+
+// number of pending chains kept alive to measure the memory footprint
+module.exports.MEMORY_CHAINS = 100000;
+
+// a pending chain of three links, every one of them returned, so that the caller
+// keeps the whole chain alive: a native Promise does not reference its parent,
+// so holding only the tail would let the head be collected
+module.exports.pendingChain = function pendingChain(P) {
+    var head = new P(function () { });
+    var middle = head.then(function (value) { return value; });
+    var tail = middle.then(function (value) { return value; });
+    return [head, middle, tail];
+};
@@ -0,0 +1,88 @@
+// Offline benchmark suite: throughput and memory of Promyse
+// compared with the ones of the native Promise.
+// Run it with "npm run bench"
+
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var cases = require(path.join(__dirname, "cases.js"));
+
+var RUNS = 5;
+
+var implementations = [
+    { name: "Promise", P: Promise },
+    { name: "Promyse", P: Promyse },
+];
+
+function gc() {
+    if (typeof global.gc === "function") {
+        global.gc();
+    }
+}
+
+function pad(string, length) {
+    string = String(string);
+    while (string.length < length) {
+        string += " ";
+    }
+    return string;
+}
+
+// the best time, in ms, among some runs of the case
+async function timeOf(benchmarkCase, P) {
+    var best = Infinity;
+    for (var i = 0; i < RUNS; i++) {
+        gc();
+        var start = process.hrtime.bigint();
+        await benchmarkCase.run(P);
+        var elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        best = Math.min(best, elapsed);
+    }
+    return best;
+}
+
+// the heap used by each pending chain, in bytes
+function bytesPerChain(P) {
+    var chains = new Array(cases.MEMORY_CHAINS);
+
+    gc();
+    var before = process.memoryUsage().heapUsed;
+    for (var i = 0; i < cases.MEMORY_CHAINS; i++) {
+        chains[i] = cases.pendingChain(P);
+    }
+    gc();
+    var after = process.memoryUsage().heapUsed;
+
+    // keep the chains alive until the measure is done
+    chains.length = 0;
+
+    return Math.round((after - before) / cases.MEMORY_CHAINS);
+}
+
+async function run() {
+    if (typeof global.gc !== "function") {
+        console.log("  run with --expose-gc for more reliable results\n");
+    }
+
+    console.log("  throughput, ops/s (best of " + RUNS + " runs)\n");
+    console.log("    " + pad("case", 60) + implementations.map(function (i) { return pad(i.name, 14); }).join("") + "ratio");
+
+    for (var benchmarkCase of cases) {
+        var results = [];
+        for (var implementation of implementations) {
+            var ms = await timeOf(benchmarkCase, implementation.P);
+            results.push(Math.round(benchmarkCase.ops / ms * 1000));
+        }
+        console.log(
+            "    " + pad(benchmarkCase.name, 60)
+            + results.map(function (r) { return pad(r, 14); }).join("")
+            + (results[1] / results[0]).toFixed(2)
+        );
+    }
+
+    console.log("\n  memory, bytes per pending chain of three links (" + cases.MEMORY_CHAINS + " chains)\n");
+    implementations.forEach(function (implementation) {
+        console.log("    " + pad(implementation.name, 14) + bytesPerChain(implementation.P));
+    });
+}
+
+run();
@@ -0,0 +1,122 @@
+import { CancellationError } from './errors.js';
+
+// private map to store the state of each CancelToken
+const instancesTokensStates = new WeakMap();
+
+// a minimal AbortSignal-like object, usable where a global
+// AbortController is not available
+export class CancelToken {
+    constructor(executor) {
+        // the executor is mandatory and must be a function
+        if (typeof executor !== "function") {
+            throw new TypeError(`The executor must be a function`);
+        }
+
+        instancesTokensStates.set(this, {
+            aborted: false,
+            reason: void 0,
+            listeners: [],
+        });
+
+        // the executor receives the function that cancels the token
+        executor(reason => cancel.call(this, reason));
+    }
+
+    // a token together with the function that cancels it
+    static source() {
+        let cancel = null;
+        const token = new CancelToken(c => { cancel = c; });
+        return { token, cancel };
+    }
+
+    get aborted() {
+        return instancesTokensStates.get(this).aborted;
+    }
+
+    get reason() {
+        return instancesTokensStates.get(this).reason;
+    }
+
+    // only 'abort' events are emitted
+    addEventListener(type, listener) {
+        const tokenState = instancesTokensStates.get(this);
+        if (type === "abort" && !tokenState.aborted && typeof listener === "function") {
+            tokenState.listeners.push(listener);
+        }
+    }
+
+    removeEventListener(type, listener) {
+        const tokenState = instancesTokensStates.get(this);
+        if (type === "abort") {
+            tokenState.listeners = tokenState.listeners.filter(l => l !== listener);
+        }
+    }
+
+    throwIfAborted() {
+        if (this.aborted) {
+            throw this.reason;
+        }
+    }
+}
+
+// cancel function passed into the executor of a CancelToken
+function cancel(reason = new CancellationError()) {
+    // this pointer will be a CancelToken instance
+    const tokenState = instancesTokensStates.get(this);
+
+    // a token can be cancelled only once
+    if (tokenState.aborted) {
+        return;
+    }
+
+    tokenState.aborted = true;
+    tokenState.reason = reason;
+
+    // notify and remove all the listeners
+    const listeners = tokenState.listeners;
+    tokenState.listeners = [];
+    listeners.forEach(listener => listener.call(this, { type: "abort", target: this }));
+}
+
+// check if an obj is an AbortSignal-like object using duck typing
+export function isSignal(obj) {
+    return obj === Object(obj)
+        && typeof obj.aborted === "boolean"
+        && typeof obj.addEventListener === "function"
+        && typeof obj.removeEventListener === "function";
+}
+
+// signals are always optional, but when present they must be valid
+export function checkSignal(signal) {
+    if (signal != null && !isSignal(signal)) {
+        throw new TypeError(`The signal must be an AbortSignal or a CancelToken`);
+    }
+}
+
+export function isAborted(signal) {
+    return signal != null && signal.aborted;
+}
+
+// the rejection reason of whatever is cancelled by a signal
+export function cancellationReasonOf(signal) {
+    return signal.reason instanceof CancellationError
+        ? signal.reason
+        : new CancellationError(signal.reason);
+}
+
+// call onabort when the signal is aborted, immediately if it already was.
+// Return a function that stops listening to the signal
+export function subscribe(signal, onabort) {
+    if (signal == null) {
+        return () => { };
+    }
+
+    if (signal.aborted) {
+        onabort();
+        return () => { };
+    }
+
+    const listener = () => onabort();
+    signal.addEventListener("abort", listener);
+    return () => signal.removeEventListener("abort", listener);
+}
@@ -0,0 +1,72 @@
+// the longest delay of the host timers: longer ones, Infinity included,
+// would fire almost at once
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// a host timer that can wait longer than MAX_TIMER_DELAY, by chaining
+// timers of at most that delay. An Infinity delay never fires
+function setLongTimeout(cb, ms) {
+    const timer = { id: null };
+
+    function wait(remaining) {
+        if (remaining === Infinity) {
+            return;
+        }
+        if (remaining > MAX_TIMER_DELAY) {
+            timer.id = setTimeout(() => wait(remaining - MAX_TIMER_DELAY), MAX_TIMER_DELAY);
+        } else {
+            timer.id = setTimeout(cb, remaining);
+        }
+    }
+
+    wait(ms);
+    return timer;
+}
+
+// the clock used by the timer helpers: Promyse.delay,
+// promyse.timeout, Promyse.deadline and friends.
+// It can be replaced, so that tests do not have to really wait
+const defaultClock = {
+    now: () => Date.now(),
+    setTimeout: setLongTimeout,
+    clearTimeout: timer => clearTimeout(timer.id),
+};
+
+let clock = defaultClock;
+
+// replace the clock, null restores the default one
+export function setClock(newClock) {
+    if (newClock === null) {
+        clock = defaultClock;
+        return;
+    }
+
+    if (newClock !== Object(newClock)
+        || typeof newClock.now !== "function"
+        || typeof newClock.setTimeout !== "function"
+        || typeof newClock.clearTimeout !== "function") {
+        throw new TypeError(`The clock must have now, setTimeout and clearTimeout methods`);
+    }
+
+    clock = newClock;
+}
+
+export function now() {
+    return clock.now();
+}
+
+// check that a clock provided to a single helper is valid
+export function checkClock(customClock) {
+    if (customClock != null
+        && (typeof customClock.setTimeout !== "function" || typeof customClock.clearTimeout !== "function")) {
+        throw new TypeError(`The clock must have setTimeout and clearTimeout methods`);
+    }
+}
+
+// set a timer on the current clock, or on the one provided.
+// The timer is cleared by the same clock that has set it,
+// even if the clock was replaced in the meantime
+export function setTimer(cb, ms, customClock) {
+    const timerClock = customClock || clock;
+    const id = timerClock.setTimeout(cb, ms);
+    return () => timerClock.clearTimeout(id);
+}
@@ -0,0 +1,201 @@
+import { CancelToken, subscribe, cancellationReasonOf, checkSignal } from './cancellation.js';
+
+// the iterator of an async or sync iterable
+function iteratorOf(iterable) {
+    if (iterable === Object(iterable)) {
+        if (typeof iterable[Symbol.asyncIterator] === "function") {
+            return iterable[Symbol.asyncIterator]();
+        }
+        if (typeof iterable[Symbol.iterator] === "function") {
+            return iterable[Symbol.iterator]();
+        }
+    }
+    // iterable argument was not an iterable
+    throw new TypeError(`${String(iterable)} is not an iterable nor an async iterable`);
+}
+
+// concurrency must be a positive integer, or Infinity
+function checkConcurrency(concurrency) {
+    if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new TypeError(`The concurrency must be a positive integer or Infinity`);
+    }
+}
+
+// limit must be a non-negative integer, or Infinity
+function checkLimit(limit) {
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+        throw new TypeError(`The limit must be a non-negative integer or Infinity`);
+    }
+}
+
+// the engine of the collection utilities.
+// The elements of the iterable are pulled lazily, resolved and passed to fn,
+// with at most concurrency calls to fn in flight, and at most limit elements
+// are pulled before closing the iterator.
+// The Promyse, built by C, resolves with the resolved elements and with the
+// results of fn, both in input order. As soon as something fails, it is rejected,
+// no other element is pulled, the iterator is closed and the signal received by fn
+// is aborted, so that the work still pending can be cancelled
+export function run(C, iterable, fn, { concurrency = Infinity, limit = Infinity, signal } = {}) {
+    if (typeof fn !== "function") {
+        throw new TypeError(`${String(fn)} is not a function`);
+    }
+    checkConcurrency(concurrency);
+    checkLimit(limit);
+    checkSignal(signal);
+
+    const iterator = iteratorOf(iterable);
+
+    return new C((resolve, reject) => {
+        const values = [];
+        const results = [];
+
+        // index of the next element
+        let index = 0;
+        // elements being resolved or passed to fn
+        let inFlight = 0;
+        // a call to iterator.next is in progress
+        let pulling = false;
+        let done = false;
+        let failed = false;
+
+        // the signal received by fn
+        const { token, cancel } = CancelToken.source();
+
+        const unsubscribe = subscribe(signal, () => fail(cancellationReasonOf(signal)));
+
+        function fail(reason) {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            unsubscribe();
+
+            // stop the work still pending
+            cancel(reason);
+
+            if (!done) {
+                close();
+            }
+
+            reject(reason);
+        }
+
+        // let the iterator clean up, when we stop before its end
+        function close() {
+            if (typeof iterator.return === "function") {
+                try {
+                    C.resolve(iterator.return()).then(null, () => { });
+                } catch (e) {
+                    // the original failure, if any, is more interesting
+                }
+            }
+        }
+
+        function completeIfDone() {
+            if (done && inFlight === 0 && !failed) {
+                unsubscribe();
+                resolve({ values, results });
+            }
+        }
+
+        function pull() {
+            if (failed || done || pulling || inFlight >= concurrency) {
+                return;
+            }
+
+            // enough elements: no need to go on
+            if (index >= limit) {
+                done = true;
+                close();
+                completeIfDone();
+                return;
+            }
+
+            pulling = true;
+
+            let step = null;
+            try {
+                step = iterator.next();
+            } catch (e) {
+                done = true;
+                fail(e);
+                return;
+            }
+
+            // async iterators return a Promise of the step
+            C.resolve(step).then(onStep, reason => {
+                done = true;
+                fail(reason);
+            });
+        }
+
+        function onStep(step) {
+            pulling = false;
+
+            if (failed) {
+                return;
+            }
+
+            if (step !== Object(step)) {
+                done = true;
+                fail(new TypeError(`Iterator result ${String(step)} is not an object`));
+                return;
+            }
+
+            if (step.done) {
+                done = true;
+                completeIfDone();
+                return;
+            }
+
+            const idx = index++;
+            inFlight++;
+
+            C.resolve(step.value)
+                .then(value => {
+                    values[idx] = value;
+                    return fn(value, idx, token);
+                })
+                .then(
+                    result => {
+                        results[idx] = result;
+                        inFlight--;
+                        completeIfDone();
+                        pull();
+                    },
+                    fail
+                );
+
+            // try to start the next one
+            pull();
+        }
+
+        pull();
+    }, signal);
+}
+
+// map the elements with the mapper, at most options.concurrency at a time
+export function map(C, iterable, mapper, options) {
+    return run(C, iterable, mapper, options)
+        .then(({ results }) => results);
+}
+
+// map the elements with the mapper, one at a time
+export function mapSeries(C, iterable, mapper, options = {}) {
+    return map(C, iterable, mapper, Object.assign({}, options, { concurrency: 1 }));
+}
+
+// call the iterator on each element, one at a time,
+// resolving with the elements themselves
+export function each(C, iterable, iterator, options = {}) {
+    return run(C, iterable, iterator, Object.assign({}, options, { concurrency: 1 }))
+        .then(({ values }) => values);
+}
+
+// keep the elements for which the predicate is truthy,
+// calling it at most options.concurrency at a time
+export function filter(C, iterable, predicate, options) {
+    return run(C, iterable, predicate, options)
+        .then(({ values, results }) => values.filter((_, idx) => results[idx]));
+}
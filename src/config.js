@@ -0,0 +1,34 @@
+// global options of the library, see Promyse.config
+export const config = {
+    // forward unhandled rejections to the runtime too:
+    // process.emit('unhandledRejection') in Node.js,
+    // an 'unhandledrejection' event in browsers
+    forwardUnhandledRejections: false,
+
+    // record where each Promyse is created, and add those
+    // creation sites to the stack of Error rejection reasons
+    longStackTraces: false,
+
+    // how many creation sites are kept for each Promyse
+    longStackTracesDepth: 10,
+};
+
+// update the global options, only known ones are accepted
+export function configure(options) {
+    if (options !== Object(options)) {
+        throw new TypeError(`The options must be an object`);
+    }
+
+    Object.keys(options).forEach(key => {
+        if (!config.hasOwnProperty(key)) {
+            throw new TypeError(`Unknown option '${key}'`);
+        }
+        if (key === "longStackTracesDepth" && !(Number.isInteger(options[key]) && options[key] > 0)) {
+            throw new TypeError(`The option 'longStackTracesDepth' must be a positive integer`);
+        }
+        config[key] = options[key];
+    });
+
+    // return a copy, so that the options cannot be changed bypassing the checks
+    return Object.assign({}, config);
+}
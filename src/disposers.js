@@ -0,0 +1,119 @@
+import { AggregateError } from './errors.js';
+import { rethrow } from './scheduler.js';
+
+// user provided hooks, see Promyse.onReleaseError
+export const hooks = {
+    onReleaseError: null,
+};
+
+// a resource to be acquired, together with the function that releases it.
+// Built by promyse.disposer(release), consumed by Promyse.using
+export class Disposer {
+    constructor(promyse, release) {
+        if (typeof release !== "function") {
+            throw new TypeError(`The release function must be a function`);
+        }
+        this.promyse = promyse;
+        this.release = release;
+    }
+}
+
+// release errors that cannot reject anything, because the primary failure reason
+// is already rejecting the Promyse of using: they are appended to its suppressed
+// array, like the suppressed exceptions of Java, and reported to the hook, if any.
+// A primitive or non-extensible reason cannot carry them
+function reportReleaseErrors(reason, errors) {
+    if (reason === Object(reason) && Object.isExtensible(reason)) {
+        try {
+            if (!Array.isArray(reason.suppressed)) {
+                reason.suppressed = [];
+            }
+            errors.forEach(({ error }) => reason.suppressed.push(error));
+        } catch (e) {
+            // a reason that refuses the field keeps being the primary failure anyway
+        }
+    }
+
+    if (typeof hooks.onReleaseError === "function") {
+        errors.forEach(({ error, resource }) => {
+            try {
+                hooks.onReleaseError(error, resource);
+            } catch (e) {
+                rethrow(e);
+            }
+        });
+    }
+}
+
+// release the acquired resources one at a time, in reverse order,
+// even if some release fails. Resolves with the release errors
+function releaseAll(C, acquired) {
+    const errors = [];
+
+    return acquired
+        .reduceRight(
+            (chain, { disposer, resource }) => chain
+                .then(() => disposer.release(resource))
+                .then(null, error => {
+                    errors.push({ error, resource });
+                }),
+            C.resolve()
+        )
+        .then(() => errors);
+}
+
+// acquire the resources concurrently, call fn with them and release them,
+// in reverse order, however fn or the acquisition of any of them ends.
+// Elements of resources that are not disposers are resolved and passed to fn
+// as they are. The returned Promyse, built by C, settles like fn, or like the first
+// failed acquisition. If every thing else went well, release errors reject it,
+// otherwise they are attached to the primary failure, see reportReleaseErrors
+export function using(C, resources, fn) {
+    if (typeof fn !== "function") {
+        throw new TypeError(`The last argument of using must be a function`);
+    }
+
+    const promyses = resources.map(resource => resource instanceof Disposer ? resource.promyse : resource);
+
+    // wait for every acquisition, even if one fails:
+    // the resources acquired later must be released too
+    return C.allSettled(promyses).then(results => {
+        const acquired = [];
+        results.forEach(({ status, value }, idx) => {
+            if (status === "fulfilled" && resources[idx] instanceof Disposer) {
+                acquired.push({ disposer: resources[idx], resource: value });
+            }
+        });
+
+        const failedAcquisition = results.find(({ status }) => status === "rejected");
+        let primaryFailure = false;
+        let primaryReason;
+
+        // fn is called inside then, so that throwing is a failure too
+        const outcome = failedAcquisition !== undefined
+            ? C.reject(failedAcquisition.reason)
+            : C.resolve().then(() => fn(...results.map(({ value }) => value)));
+
+        return outcome
+            .then(null, reason => {
+                primaryFailure = true;
+                primaryReason = reason;
+                throw reason;
+            })
+            // finally keeps the outcome of fn, unless the release fails:
+            // that must happen only if there is no primary failure to hide
+            .finally(() => releaseAll(C, acquired).then(errors => {
+                if (errors.length === 0) {
+                    return;
+                }
+                if (primaryFailure) {
+                    reportReleaseErrors(primaryReason, errors);
+                    return;
+                }
+                if (errors.length === 1) {
+                    throw errors[0].error;
+                }
+                throw new AggregateError(errors.map(({ error }) => error), `Failed to release ${errors.length} resources`);
+            }));
+    });
+}
@@ -0,0 +1,40 @@
+// rejection reason of the Promyses whose work was cancelled.
+// The reason of the cancellation, if any, is available as .reason
+export class CancellationError extends Error {
+    constructor(reason) {
+        super(typeof reason === "string" ? reason : "The operation was cancelled");
+        this.name = "CancellationError";
+        this.reason = reason;
+    }
+}
+
+// polyfill of the ES2021 AggregateError, used where the runtime lacks it
+class AggregateErrorPolyfill extends Error {
+    constructor(errors, message) {
+        super(message);
+        this.name = "AggregateError";
+
+        // like the native one, errors is an own non-enumerable property
+        Object.defineProperty(this, "errors", {
+            configurable: true,
+            enumerable: false,
+            writable: true,
+            value: Array.from(errors),
+        });
+    }
+}
+
+// the native AggregateError if available, the polyfill otherwise
+const AggregateErrorImplementation = typeof AggregateError === "function"
+    ? AggregateError
+    : AggregateErrorPolyfill;
+
+export { AggregateErrorImplementation as AggregateError };
+
+// rejection reason of the Promyses that did not settle in time
+export class TimeoutError extends Error {
+    constructor(message = "The operation timed out") {
+        super(message);
+        this.name = "TimeoutError";
+    }
+}
@@ -0,0 +1,211 @@
+import { setTimer } from './clock.js';
+import { checkMs } from './timers.js';
+import { checkSignal, subscribe, cancellationReasonOf } from './cancellation.js';
+import { TimeoutError } from './errors.js';
+import { createOutcomeQueue } from './outcomes.js';
+
+// how many events fromEvents buffers before pausing the target
+const DEFAULT_HIGH_WATER_MARK = 16;
+
+// DOM-style targets: addEventListener and removeEventListener
+function isEventTarget(target) {
+    return typeof target.addEventListener === "function" && typeof target.removeEventListener === "function";
+}
+
+// Node-style emitters: on and removeListener
+function isEventEmitter(target) {
+    return typeof target.on === "function" && typeof target.removeListener === "function";
+}
+
+function checkTarget(target) {
+    if (target !== Object(target) || (!isEventTarget(target) && !isEventEmitter(target))) {
+        throw new TypeError(`${String(target)} is neither an EventTarget nor an EventEmitter`);
+    }
+}
+
+function checkEventNames(names, option) {
+    if (!Array.isArray(names)) {
+        throw new TypeError(`The ${option} option must be an array of event names`);
+    }
+}
+
+function checkOptions({ rejectOn, endOn, filter, timeout, signal }) {
+    checkEventNames(rejectOn, "rejectOn");
+    checkEventNames(endOn, "endOn");
+    if (filter !== undefined && typeof filter !== "function") {
+        throw new TypeError(`The filter must be a function`);
+    }
+    if (timeout !== undefined) {
+        checkMs(timeout);
+    }
+    checkSignal(signal);
+}
+
+function checkHighWaterMark(highWaterMark) {
+    if (typeof highWaterMark !== "number" || !(highWaterMark >= 1)) {
+        throw new TypeError(`The highWaterMark must be a number greater than 0`);
+    }
+}
+
+// listen to an event of an EventTarget or of an EventEmitter.
+// Returns the function that stops listening
+function listen(target, eventName, listener) {
+    if (isEventTarget(target)) {
+        target.addEventListener(eventName, listener);
+        return () => target.removeEventListener(eventName, listener);
+    }
+    target.on(eventName, listener);
+    return () => target.removeListener(eventName, listener);
+}
+
+// a Promyse, built by C, resolved with the first eventName event of target
+// accepted by options.filter: the Event object for an EventTarget,
+// the first argument of the event for an EventEmitter.
+// The events in options.rejectOn reject it, as options.timeout milliseconds
+// without the event (Infinity never) or aborting options.signal do.
+// Every listener is removed as soon as it settles
+export function fromEvent(C, target, eventName, options) {
+    checkTarget(target);
+    options = Object.assign({ rejectOn: ["error"], endOn: [] }, options);
+    checkOptions(options);
+
+    const { rejectOn, filter, timeout, signal } = options;
+
+    return new C((resolve, reject) => {
+        const removers = [];
+        let clearTimer = () => { };
+        let unsubscribe = () => { };
+
+        function cleanup() {
+            removers.forEach(remove => remove());
+            clearTimer();
+            unsubscribe();
+        }
+
+        removers.push(listen(target, eventName, (...args) => {
+            // a filter that throws rejects the Promyse
+            let accepted = true;
+            try {
+                accepted = filter === undefined || filter(...args);
+            } catch (e) {
+                cleanup();
+                reject(e);
+                return;
+            }
+
+            if (accepted) {
+                cleanup();
+                resolve(args[0]);
+            }
+        }));
+
+        rejectOn.forEach(name => {
+            removers.push(listen(target, name, reason => {
+                cleanup();
+                reject(reason);
+            }));
+        });
+
+        if (timeout !== undefined) {
+            clearTimer = setTimer(() => {
+                cleanup();
+                reject(new TimeoutError(`The ${String(eventName)} event was not emitted within ${timeout}ms`));
+            }, timeout);
+        }
+
+        // the Promyse is cancelled by the constructor, the listeners are removed here
+        unsubscribe = subscribe(signal, cleanup);
+    }, signal);
+}
+
+// an async iterator over the eventName events of target accepted by options.filter,
+// with the same values of fromEvent. The events in options.rejectOn are thrown
+// into the consumer, the ones in options.endOn end the iteration, after the events
+// already buffered. Aborting options.signal ends it too, rejecting the pending next calls.
+// Backpressure: when options.highWaterMark events are buffered, a target with
+// pause and resume methods, like a Node stream, is paused until the buffer is drained.
+// Unlike fromEvent, there is no timeout option: a signal can end the iteration instead
+export function fromEvents(C, target, eventName, options) {
+    checkTarget(target);
+    options = Object.assign({ rejectOn: ["error"], endOn: [], highWaterMark: DEFAULT_HIGH_WATER_MARK }, options);
+    checkOptions(options);
+    checkHighWaterMark(options.highWaterMark);
+    // a timeout would have to decide whether a slow consumer counts too
+    if (options.timeout !== undefined) {
+        throw new TypeError(`The timeout option is not supported by fromEvents, use a signal instead`);
+    }
+
+    const { rejectOn, endOn, filter, highWaterMark, signal } = options;
+    const pausable = typeof target.pause === "function" && typeof target.resume === "function";
+
+    // the listeners are still there
+    let listening = true;
+    let paused = false;
+
+    const removers = [];
+    // an already aborted signal calls back right away
+    let unsubscribe = () => { };
+
+    // no more events: every listener is removed.
+    // A paused target is left paused, because nobody would get its data
+    function stopListening() {
+        if (listening) {
+            listening = false;
+            removers.forEach(remove => remove());
+            unsubscribe();
+        }
+    }
+
+    const { iterator, push, end, abort } = createOutcomeQueue(C, {
+        // the consumer is too slow: stop the flow, if the target allows it
+        onBuffer(size) {
+            if (pausable && !paused && listening && size >= highWaterMark) {
+                paused = true;
+                target.pause();
+            }
+        },
+        // the buffer is drained: let the events flow again
+        onTake(size) {
+            if (paused && listening && size === 0) {
+                paused = false;
+                target.resume();
+            }
+        },
+        onClose: stopListening,
+    });
+
+    removers.push(listen(target, eventName, (...args) => {
+        let accepted = true;
+        try {
+            accepted = filter === undefined || filter(...args);
+        } catch (e) {
+            stopListening();
+            push({ fulfilled: false, value: e });
+            end();
+            return;
+        }
+
+        if (accepted) {
+            push({ fulfilled: true, value: args[0] });
+        }
+    }));
+
+    rejectOn.forEach(name => {
+        removers.push(listen(target, name, reason => {
+            stopListening();
+            push({ fulfilled: false, value: reason });
+            end();
+        }));
+    });
+
+    endOn.forEach(name => {
+        removers.push(listen(target, name, () => {
+            stopListening();
+            end();
+        }));
+    });
+
+    unsubscribe = subscribe(signal, () => abort(cancellationReasonOf(signal)));
+
+    return iterator;
+}
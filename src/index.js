@@ -1,158 +1,213 @@
 import State, { STATES } from './state';
-import Observers from './observers.js';
-
-// private map to store current state, value and settled status of each Promyse
-// because those value are stored inside internal slots, so them are
-// inacessible from outside
+import Observers, { Reaction } from './observers.js';
+import { enqueue, setScheduler, rethrow } from './scheduler.js';
+import { hooks, trackRejection, trackHandling } from './rejections.js';
+import { configure } from './config.js';
+import { checkSignal, isSignal, isAborted, cancellationReasonOf, subscribe } from './cancellation.js';
+import { AggregateError } from './errors.js';
+import { captureTrace, inheritTrace, stitchTrace } from './traces.js';
+import { setClock } from './clock.js';
+import { delay, timeout, deadline } from './timers.js';
+import { map, mapSeries, each, filter } from './collections.js';
+import { retry } from './retry.js';
+import { fromAsyncIterable, stream } from './iteration.js';
+import { fromEvent, fromEvents } from './events.js';
+import { props, allSettledProps } from './props.js';
+import { Disposer, using, hooks as disposersHooks } from './disposers.js';
+import { promisify, promisifyAll, callbackify, CUSTOM } from './promisify.js';
+import { memoize } from './memoize.js';
+import { watched, notifyWatchers } from './watchers.js';
+import { createProgressAggregator } from './progress.js';
+import { enabledHooks, createHook, emitInit, emitSettle, emitBefore, emitAfter } from './instrumentation.js';
+
+// private map to store the internal slots of each Promyse:
+// state, value, observers and signal subscription.
+// Those values are stored inside internal slots, so them are
+// inacessible from outside.
+// It's weak: a Promyse that will never be settled, and that nobody
+// references anymore, must be garbage collected along with its observers
+// and with every Promyse chained on it
 const instancesStatesMap = new WeakMap();
 
-// private map to store observers of each Promise
-const instancesObservers = new Map();
+// executor used internally to create a Promyse without calling anything:
+// it's settled directly through the module resolve and reject functions
+const INTERNAL = () => { };
+
+// message of the AggregateError used by Promyse.any
+const ALL_REJECTED_MESSAGE = "All Promyses were rejected";
+
+// check if an obj is a Promyse, subclasses instances included,
+// by looking for its internal state
+function isPromyse(obj) {
+    return instancesStatesMap.has(obj);
+}
+
+// the internal state of a Promyse, for the inspection API
+function stateOf(promyse) {
+    if (!isPromyse(promyse)) {
+        throw new TypeError(`Cannot inspect an object that is not a Promyse`);
+    }
+    return instancesStatesMap.get(promyse);
+}
+
+// the constructor to be used to create Promyses derived from the given one
+function speciesConstructor(promyse, defaultConstructor) {
+    const C = promyse.constructor;
+    if (C === undefined) {
+        return defaultConstructor;
+    }
+    if (C !== Object(C)) {
+        throw new TypeError(`The constructor property of a Promyse must be an object`);
+    }
+
+    const S = C[Symbol.species];
+    if (S === undefined || S === null) {
+        return defaultConstructor;
+    }
+    if (typeof S !== "function") {
+        throw new TypeError(`The species of a Promyse must be a constructor`);
+    }
+    return S;
+}
 
 // check if an obj is a "thenable" using duck typing
 function isThenable(obj) {
     return obj === Object(obj) && "then" in obj;
 }
 
+// check if an obj can be iterated by the combinators
+function isIterable(obj) {
+    return obj === Object(obj) && typeof obj[Symbol.iterator] === "function";
+}
+
 export class Promyse {
-    constructor(executor) {
+    constructor(executor, signal) {
         // the executor is mandatory and must be a function
         if (typeof executor !== "function") {
             throw new TypeError(`The executor must be a function`);
         }
 
-        // each instance will have own state-value-settled tuple
-        // default values are STATES.PENDING for the state,
-        // undefined for the value
-        // false for settled
-        instancesStatesMap.set(this, new State());
+        // the signal is optional, but if present it has to be valid
+        checkSignal(signal);
 
-        // each instance will have own observers collection
-        // a set of onfulfill-onreject functions pair
-        instancesObservers.set(this, new Observers());
+        // each instance will have own internal slots,
+        // starting from the PENDING state
+        const state = new State();
+        instancesStatesMap.set(this, state);
 
-        // synchronously call the executor,
-        // passing to it the resolve and the reject functions
-        // binded to the current Promyse instance.
-        // If an error is thrown, the Promyse must be rejected
-        try {
-            executor(resolve.bind(this), reject.bind(this));
-        } catch (e) {
-            reject.call(this, e);
+        // record where the Promyse was created, if long stack traces are enabled
+        captureTrace(this);
+
+        // tell the lifecycle hooks, if any is enabled
+        if (enabledHooks.length !== 0) {
+            emitInit(this);
         }
-    }
 
-    then(onfulfill, onreject) {
+        // a Promyse created with an already aborted signal
+        // is immediately cancelled, and the executor is not called at all
+        if (isAborted(signal)) {
+            reject.call(this, cancellationReasonOf(signal));
+            return;
+        }
 
-        // if both onfulfill and onreject weren't functions
-        // a default callback is substituted respectively
-        if (typeof onfulfill !== 'function') {
-            onfulfill = x => x;
+        // Promyses created by then have no executor to be called
+        if (executor !== INTERNAL) {
+            runExecutor(this, executor);
         }
-        if (typeof onreject !== 'function') {
-            onreject = x => { throw x };
+
+        // if the Promyse is still pending, aborting the signal will cancel it,
+        // even if it was already resolved with a thenable.
+        // The subscription will be removed as soon as the Promyse is settled
+        if (signal != null && !state.settled) {
+            state.unsubscribe = subscribe(
+                signal,
+                () => reject.call(this, cancellationReasonOf(signal))
+            );
         }
+    }
 
-        // then returns a Promyse
-        let promyseToBeReturned = null;
+    // subclasses will get instances of their own class
+    // from then and from the static utilities
+    static get [Symbol.species]() {
+        return this;
+    }
 
-        // state info about the Promyse on which then was called
-        const instanceStateValueSettledTuple = instancesStatesMap.get(this);
-
-        // if the Promyse on which then was called was already settled
-        if (instanceStateValueSettledTuple.settled) {
-
-            // we could simply return a Promyse "immediately" resolved/rejected
-            // "immediately" is in quotes because specs says that we have to defer it
-            promyseToBeReturned = new Promyse((resolve, reject) => {
-                if (instanceStateValueSettledTuple.state === STATES.FULFILLED) {
-                    // the promyse was FULFILLED
-                    setTimeout((v) => {
-                        // The returned Promyse has to be resolved
-                        // with the resulting value of the call to the
-                        // onfulfill function passed to then
-                        try {
-                            resolve(onfulfill(v));
-                        } catch (e) {
-                            // the 'onfulfill' observer passed to then
-                            // could throw an error
-                            // in such case, the returned Promyse should be rejected
-                            reject(e);
-                        }
+    then(onfulfill, onreject, onprogress, signal) {
 
-                    }, 0, instanceStateValueSettledTuple.value);
+        // then cannot be borrowed by other objects
+        if (!isPromyse(this)) {
+            throw new TypeError(`Promyse.prototype.then called on an incompatible receiver`);
+        }
 
-                } else {
-                    // similar thing for the other case
-                    // the promyse was REJECTED
+        // the progress handler is optional: a signal can be the third argument.
+        // Anything else is ignored, like native Promises ignore extra arguments
+        if (typeof onprogress !== 'function') {
+            if (signal === undefined && isSignal(onprogress)) {
+                signal = onprogress;
+            }
+            onprogress = null;
+        }
 
-                    setTimeout((v) => {
-                        try {
-                            // The returned Promyse has to be resolved
-                            // with the resulting value of the call to the
-                            // onreject function passed to then
-                            resolve(onreject(v));
-                        } catch (e) {
-                            reject(e);
-                        }
+        // the signal is optional, but if present it has to be valid
+        checkSignal(signal);
 
-                    }, 0, instanceStateValueSettledTuple.value);
+        // the returned Promyse is built by the species constructor,
+        // so that subclasses get instances of their own class
+        const C = speciesConstructor(this, Promyse);
 
-                }
-            });
+        // a then called with an already aborted signal
+        // returns an already cancelled Promyse and does nothing else
+        if (isAborted(signal)) {
+            return new C(() => { }, signal);
+        }
 
-        } else {
-            // the Promyse on which then was called was not settled
-            promyseToBeReturned = new Promyse((resolve, reject) => {
-                // the returned Promyse will resolve/reject
-                // after the Promyse on which then was called
-                // is settled
-
-                // this points to the Promyse on which then was called
-                const observers = instancesObservers.get(this);
-
-                observers.add({
-                    // if the the Promyse on which then was called
-                    // will fulfill, all 'onfulfill' observers
-                    // will be called with the resolution value.
-                    // The returned Promyse has to be resolved
-                    // with the resulting value of the call to the
-                    // onfulfill function passed to then
-                    onfulfill: value => {
-                        try {
-                            // the 'onfulfill' observer passed to then
-                            // could throw an error
-                            // in such case, the returned Promyse should be rejected
-                            resolve(onfulfill(value))
-                        } catch (e) {
-                            reject(e);
-                        }
-                    },
+        // if onfulfill or onreject aren't functions they are replaced by null:
+        // the value or the reason will simply be passed along
+        const reaction = new Reaction(
+            typeof onfulfill === 'function' ? onfulfill : null,
+            typeof onreject === 'function' ? onreject : null,
+            onprogress,
+            signal
+        );
 
-                    // similar thing for the other case
-                    onreject: value => {
-                        try {
-                            resolve(onreject(value))
-                        } catch (e) {
-                            reject(e);
-                        }
-                    }
-                });
-            });
+        // then returns a Promyse, that will be resolved/rejected
+        // with the result of the reaction
+        let promyseToBeReturned = null;
+
+        if (C === Promyse) {
+            // plain Promyses are settled directly, no executor is needed
+            promyseToBeReturned = new Promyse(INTERNAL, signal);
+        } else {
+            // other constructors give us their resolving functions
+            promyseToBeReturned = new C((resolve, reject) => {
+                reaction.resolve = resolve;
+                reaction.reject = reject;
+            }, signal);
+
+            if (typeof reaction.resolve !== "function" || typeof reaction.reject !== "function") {
+                throw new TypeError(`The species constructor did not provide resolving functions`);
+            }
         }
+        reaction.derived = promyseToBeReturned;
+
+        // the returned Promyse was derived from the one on which then was called:
+        // its creation sites are stitched too
+        inheritTrace(promyseToBeReturned, this);
+
+        addReaction(this, reaction);
 
         return promyseToBeReturned;
     }
 
-    catch(onreject) {
+    catch(onreject, signal) {
         // we implement the catch method using then
 
         // in case no error were fired, catch will simply
         // propagate the resolution value along
-        return this.then(null, onreject);
+        return this.then(null, onreject, undefined, signal);
     }
 
-    finally(onfinally) {
+    finally(onfinally, signal) {
         // we implement the finally method using then
 
         // if onfinally is not a function
@@ -394,358 +449,976 @@ export class Promyse {
                     // Promyse.reject(2).finally(() => 98)); -> rejected 2
                     throw reason;
                 }
-            }
+            },
+            undefined,
+            signal
         );
     }
 
+    // register a handler called with each progress notification
+    // received while the Promyse is pending.
+    // Returns the Promyse itself, so that the chain can go on
+    progress(onprogress) {
+        const state = stateOf(this);
+        if (typeof onprogress !== 'function') {
+            throw new TypeError(`The progress handler must be a function`);
+        }
+
+        // a settled Promyse will not make any progress
+        if (!state.settled) {
+            if (state.progressHandlers === null) {
+                state.progressHandlers = [];
+            }
+            state.progressHandlers.push(onprogress);
+        }
+
+        return this;
+    }
+
+    // a disposer for the resource this Promyse resolves with, to be used
+    // with Promyse.using: release(resource) will be called once the resource
+    // is no longer needed, and it can return a Promyse
+    disposer(release) {
+        stateOf(this);
+        return new Disposer(this, release);
+    }
+
+    // a native Promise that settles like this one.
+    // If this one is already settled, so is the native Promise
+    toPromise() {
+        const state = stateOf(this);
+
+        if (state.state === STATES.FULFILLED) {
+            return Promise.resolve(state.value);
+        }
+        if (state.state === STATES.REJECTED) {
+            // the rejection is handled by the native Promise now
+            trackHandling(this);
+            return Promise.reject(state.value);
+        }
+
+        // an internal reaction settles the native Promise,
+        // without creating any derived Promyse
+        return new Promise((resolve, reject) => {
+            const reaction = new Reaction(null, null, null, undefined);
+            reaction.resolve = resolve;
+            reaction.reject = reject;
+            addReaction(this, reaction);
+        });
+    }
+
+    // a Promyse that settles like this one, or rejects with a TimeoutError
+    // if this one does not settle within ms milliseconds (or before ms,
+    // if it is a Date). options.message is the message of the TimeoutError,
+    // options.error a custom rejection reason
+    timeout(ms, options) {
+        return timeout(speciesConstructor(this, Promyse), this, ms, options);
+    }
+
+    // synchronous inspection of the state of the Promyse.
+    // A Promyse resolved with a pending thenable is still pending
+    isPending() {
+        return !stateOf(this).settled;
+    }
+
+    isFulfilled() {
+        return stateOf(this).state === STATES.FULFILLED;
+    }
+
+    isRejected() {
+        return stateOf(this).state === STATES.REJECTED;
+    }
+
+    // the fulfillment value, only if the Promyse was fulfilled
+    value() {
+        const state = stateOf(this);
+        if (state.state !== STATES.FULFILLED) {
+            throw new TypeError(`Cannot get the value of a Promyse that was not fulfilled`);
+        }
+        return state.value;
+    }
+
+    // the rejection reason, only if the Promyse was rejected.
+    // Reading it does not count as handling the rejection
+    reason() {
+        const state = stateOf(this);
+        if (state.state !== STATES.REJECTED) {
+            throw new TypeError(`Cannot get the reason of a Promyse that was not rejected`);
+        }
+        return state.value;
+    }
+
+    // a LazyPromyse: the executor is called only when the first
+    // reaction is registered on it
+    static lazy(executor, signal) {
+        return new LazyPromyse(executor, signal);
+    }
+
     // static resolve utility
     static resolve(value) {
-        return value instanceof Promyse
-            // do nothing if the values already is a Promyse
-            ? value
-            // else wrap the value into a resolved Promyse
-            // the resolve function will take care of thenables
-            : new Promyse(resolve => {
-                resolve(value);
-            });
+        // this is the constructor used to build the returned Promyse,
+        // so it has to be an object
+        const C = this;
+        if (C !== Object(C)) {
+            throw new TypeError(`Promyse.resolve called on a non-object`);
+        }
+
+        // do nothing if the values already is a Promyse
+        // built by the same constructor
+        if (isPromyse(value) && value.constructor === C) {
+            return value;
+        }
+
+        // else wrap the value into a resolved Promyse
+        // the resolve function will take care of thenables
+        return new C(resolve => {
+            resolve(value);
+        });
+    }
+
+    // like resolve, but a settled Promyse built by another constructor
+    // is adopted right away, instead of after some jobs.
+    // Native Promises are adopted without any job of ours
+    static from(value) {
+        const C = this;
+        if (C !== Object(C)) {
+            throw new TypeError(`Promyse.from called on a non-object`);
+        }
+
+        if (isPromyse(value) && value.constructor !== C) {
+            const state = instancesStatesMap.get(value);
+
+            if (state.state === STATES.FULFILLED) {
+                return new C(resolve => resolve(state.value));
+            }
+            if (state.state === STATES.REJECTED) {
+                // the rejection is handled by the returned Promyse now
+                trackHandling(value);
+                return new C((resolve, reject) => reject(state.value));
+            }
+        }
+
+        return C.resolve(value);
     }
 
     // static reject utility
     static reject(value) {
-        return value instanceof Promyse
-            // do nothing if the values already is a Promyse
-            ? value
-            // esle wrap the value into a rejected Promyse
-            : new Promyse((resolve, reject) => {
-                reject(value);
-            });
+        const C = this;
+        if (C !== Object(C)) {
+            throw new TypeError(`Promyse.reject called on a non-object`);
+        }
+
+        // always wrap the value into a rejected Promyse,
+        // even if it is a Promyse itself: the reason is never unwrapped
+        return new C((resolve, reject) => {
+            reject(value);
+        });
     }
 
     // static all utility
-    static all(iterable) {
-        if (iterable === Object(iterable) && typeof iterable[Symbol.iterator] === "function") {
-            // be sure that each element of the iterable is a Promyse
-            const iterableOfPromyses = [...iterable].map(el => Promyse.resolve(el));
-            const iterableOfPromysesLength = iterableOfPromyses.length;
-
-            // empty iterable?
-            if (iterableOfPromysesLength === 0) {
-                // empty output
-                return new Promyse(resolve => resolve([]));
-            }
+    static all(iterable, signal) {
+        // this is the constructor used to build the returned Promyse
+        const C = this;
 
-            // Promyse.all must return a Promise
-            return new Promyse((resolve, reject) => {
-
-                let arrayOfResults = [];
-
-                iterableOfPromyses.forEach((promyse, idx) => {
-                    promyse.then(
-                        value => {
-                            // put the result value into the arrayOfResults
-                            // at the same index of the promyse into the iterable.
-                            // Empty slots will be created, but the position of each resulting
-                            // value into the arrayOfResults is equal to the position of the
-                            // promyse into the iterable
-                            arrayOfResults[idx] = value;
-
-                            // if all Promyses contained into the iterable were fulfilled
-                            // the promyse should be resolved with the arrayOfResults as completion value.
-                            // The following check remove empty slots, then calculate the
-                            // length of the arrayOfResults that is being built
-                            // only if each promyse was successfully resolved the check could pass
-                            // otherwise the real length of arrayOfResults will be minor than
-                            // iterableOfPromysesLength one
-                            if (arrayOfResults.map(el => el).length === iterableOfPromysesLength) {
-                                resolve(arrayOfResults);
-                            }
-                        },
-                        // as soon as any Promyse contained into the iterable
-                        // will reject, the promise returned by Promyse.all
-                        // must be rejected with the same reason
-                        reason => reject(reason)
-                    );
-                });
-            });
-
-        } else {
+        if (!isIterable(iterable)) {
             // iterable argument was not an iterable
             throw new TypeError(`Cannot read property 'Symbol(Symbol.iterator)' of ${String(iterable)}.`);
         }
-    }
 
-    // static any utility
-    static any(iterable) {
-        if (iterable === Object(iterable) && typeof iterable[Symbol.iterator] === "function") {
-            // be sure that each element of the iterable is a Promyse
-            const iterableOfPromyses = [...iterable].map(el => Promyse.resolve(el));
-            const iterableOfPromysesLength = iterableOfPromyses.length;
-
-            // empty iterable?
-            if (iterableOfPromysesLength === 0) {
-                // empty output
-                return new Promyse(resolve => resolve([]));
+        // Promyse.all must return a Promise
+        return new C((resolve, reject, notify) => {
+
+            const arrayOfResults = [];
+
+            // the progress notifications of the elements are combined
+            const aggregator = createProgressAggregator(notify);
+
+            // how many elements are still to be fulfilled.
+            // It starts from 1, so that the returned Promyse cannot be resolved
+            // before the whole iterable was walked through
+            let remaining = 1;
+            let idx = 0;
+
+            for (const el of iterable) {
+                // the position of each resulting value into the arrayOfResults
+                // is equal to the position of the element into the iterable
+                const elIdx = idx++;
+                arrayOfResults.push(undefined);
+                aggregator.add();
+                remaining++;
+
+                // be sure that each element of the iterable is a Promyse,
+                // using the resolve method of the constructor
+                C.resolve(el).then(
+                    value => {
+                        arrayOfResults[elIdx] = value;
+                        aggregator.settle();
+
+                        // if all Promyses contained into the iterable were fulfilled
+                        // the promyse should be resolved with the arrayOfResults.
+                        // Counting them is enough, because each promyse
+                        // can be fulfilled only once
+                        if (--remaining === 0) {
+                            resolve(arrayOfResults);
+                        }
+                    },
+                    // as soon as any Promyse contained into the iterable
+                    // will reject, the promise returned by Promyse.all
+                    // must be rejected with the same reason
+                    reject,
+                    value => aggregator.progress(elIdx, value),
+                    // aborting the signal drops the reactions
+                    // registered on each Promyse contained into the iterable
+                    signal
+                );
             }
 
-            // Promyse.any must return a Promise
-            return new Promyse((resolve, reject) => {
-
-                let arrayOfRejections = [];
-
-                iterableOfPromyses.forEach((promyse, idx) => {
-                    promyse.then(
-                        // as soon as any Promyse contained into the iterable
-                        // will resolve, the promise returned by Promyse.any
-                        // must be resolved with the same reason
-                        value => resolve(value),
-                        reason => {
-                            // put the result value into the arrayOfRejections
-                            // at the same index of the promyse into the iterable.
-                            // Empty slots will be created, but the position of each resulting
-                            // value into the arrayOfRejections is equal to the position of the
-                            // promyse into the iterable
-                            arrayOfRejections[idx] = reason;
-
-                            // if all Promyses contained into the iterable were rejected
-                            // the promyse should be rejected with the arrayOfRejections as reason.
-                            // The following check remove empty slots, then calculate the
-                            // length of the arrayOfRejections that is being built
-                            // only if each promyse was rejected the check could pass
-                            // otherwise the real length of arrayOfRejections will be minor than
-                            // iterableOfPromysesLength one
-                            if (arrayOfRejections.map(el => el).length === iterableOfPromysesLength) {
-                                reject(arrayOfRejections);
-                            }
-                        },
-                    );
-                });
-            });
+            // empty iterable, or every element already fulfilled
+            if (--remaining === 0) {
+                resolve(arrayOfResults);
+            }
+        }, signal);
+    }
 
-        } else {
+    // static any utility
+    static any(iterable, signal) {
+        // this is the constructor used to build the returned Promyse
+        const C = this;
+
+        if (!isIterable(iterable)) {
             // iterable argument was not an iterable
             throw new TypeError(`Cannot read property 'Symbol(Symbol.iterator)' of ${String(iterable)}.`);
         }
-    }
 
-    // static allSettled utility
-    static allSettled(iterable) {
-        if (iterable === Object(iterable) && typeof iterable[Symbol.iterator] === "function") {
-            // be sure that each element of the iterable is a Promyse
-            const iterableOfPromyses = [...iterable].map(el => Promyse.resolve(el));
-            const iterableOfPromysesLength = iterableOfPromyses.length;
-
-            // empty iterable?
-            if (iterableOfPromysesLength === 0) {
-                // empty output
-                return new Promyse(resolve => resolve([]));
+        // Promyse.any must return a Promise
+        return new C((resolve, reject) => {
+
+            // the rejection reasons are stored in the input order
+            const arrayOfRejections = [];
+
+            // how many elements are still to be rejected,
+            // starting from 1 like in Promyse.all
+            let remaining = 1;
+            let idx = 0;
+
+            for (const el of iterable) {
+                const elIdx = idx++;
+                arrayOfRejections.push(undefined);
+                remaining++;
+
+                C.resolve(el).then(
+                    // as soon as any Promyse contained into the iterable
+                    // will resolve, the promise returned by Promyse.any
+                    // must be resolved with the same value
+                    resolve,
+                    reason => {
+                        arrayOfRejections[elIdx] = reason;
+
+                        // if all Promyses contained into the iterable were rejected
+                        // the promyse should be rejected with an AggregateError
+                        // carrying the arrayOfRejections as its errors
+                        if (--remaining === 0) {
+                            reject(new AggregateError(arrayOfRejections, ALL_REJECTED_MESSAGE));
+                        }
+                    },
+                    signal
+                );
             }
 
-            // Promyse.allSettled must return a Promise
-            return new Promyse((resolve, reject) => {
-
-                let arrayOfRejections = [];
-
-                function settleIntoArray(value, idx) {
-                    // put the result value into the arrayOfResults
-                    // at the same index of the promyse into the iterable.
-                    // Empty slots will be created, but the position of each resulting
-                    // value into the arrayOfResults is equal to the position of the
-                    // promyse into the iterable
-                    arrayOfRejections[idx] = value;
-
-                    // if all Promyses contained into the iterable were completed
-                    // the promyse should be resolved with the arrayOfResults as reason.
-                    // The following check remove empty slots, then calculate the
-                    // length of the arrayOfResults that is being built
-                    // only if each promyse was completed the check could pass
-                    // otherwise the real length of arrayOfResults will be minor than
-                    // iterableOfPromysesLength one
-                    if (arrayOfRejections.map(el => el).length === iterableOfPromysesLength) {
-                        resolve(arrayOfRejections);
-                    }
-                }
+            // an empty iterable: no Promyse could ever fulfill,
+            // so the returned one is immediately rejected
+            if (--remaining === 0) {
+                reject(new AggregateError(arrayOfRejections, ALL_REJECTED_MESSAGE));
+            }
+        }, signal);
+    }
 
-                iterableOfPromyses.forEach((promyse, idx) => {
-                    promyse.then(
-                        value => settleIntoArray(value, idx),
-                        reason => settleIntoArray(reason, idx)
-                    );
-                });
-            });
+    // static allSettled utility
+    static allSettled(iterable, signal) {
+        // this is the constructor used to build the returned Promyse
+        const C = this;
 
-        } else {
+        if (!isIterable(iterable)) {
             // iterable argument was not an iterable
             throw new TypeError(`Cannot read property 'Symbol(Symbol.iterator)' of ${String(iterable)}.`);
         }
+
+        // Promyse.allSettled must return a Promise
+        return new C((resolve, reject, notify) => {
+
+            const arrayOfResults = [];
+
+            // the progress notifications of the elements are combined
+            const aggregator = createProgressAggregator(notify);
+
+            // how many elements are still to be settled,
+            // starting from 1 like in Promyse.all
+            let remaining = 1;
+            let idx = 0;
+
+            for (const el of iterable) {
+                const elIdx = idx++;
+                arrayOfResults.push(undefined);
+                aggregator.add();
+                remaining++;
+
+                const settleIntoArray = result => {
+                    // put the result record into the arrayOfResults
+                    // at the same index of the element into the iterable
+                    arrayOfResults[elIdx] = result;
+                    aggregator.settle();
+
+                    if (--remaining === 0) {
+                        resolve(arrayOfResults);
+                    }
+                };
+
+                C.resolve(el).then(
+                    // each result is a record that tells how the promyse was settled,
+                    // exactly like the ones of the native Promise.allSettled
+                    value => settleIntoArray({ status: "fulfilled", value }),
+                    reason => settleIntoArray({ status: "rejected", reason }),
+                    value => aggregator.progress(elIdx, value),
+                    signal
+                );
+            }
+
+            // empty iterable, or every element already settled
+            if (--remaining === 0) {
+                resolve(arrayOfResults);
+            }
+        }, signal);
     }
 
     // static race utility
-    static race(iterable) {
-        if (iterable === Object(iterable) && typeof iterable[Symbol.iterator] === "function") {
-            // be sure that each element of the iterable is a Promyse
-            const iterableOfPromyses = [...iterable].map(el => Promyse.resolve(el));
-
-            // Promyse.race must return a Promise
-            return new Promyse((resolve, reject) => {
-                iterableOfPromyses.forEach((promyse) => {
-                    promyse.then(
-                        // as soon as any Promyse contained into the iterable
-                        // will resolve, the promise returned by Promyse.race
-                        // must be resolved with the same reason
-                        value => resolve(value),
-                        // as soon as any Promyse contained into the iterable
-                        // will reject, the promise returned by Promyse.race
-                        // must be rejected with the same reason
-                        reason => reject(reason)
-                    );
-                });
-            });
+    static race(iterable, signal) {
+        // this is the constructor used to build the returned Promyse
+        const C = this;
 
-        } else {
+        if (!isIterable(iterable)) {
             // iterable argument was not an iterable
             throw new TypeError(`Cannot read property 'Symbol(Symbol.iterator)' of ${String(iterable)}.`);
         }
+
+        // Promyse.race must return a Promise
+        return new C((resolve, reject) => {
+            for (const el of iterable) {
+                // as soon as any Promyse contained into the iterable
+                // will be settled, the promise returned by Promyse.race
+                // must be settled the same way
+                C.resolve(el).then(resolve, reject, signal);
+            }
+        }, signal);
+    }
+
+    // like all, but for the values of an object or of a Map:
+    // it resolves with an object, or a Map, with the same keys
+    static props(obj, signal) {
+        return props(this, obj, signal);
+    }
+
+    // like allSettled, but for the values of an object or of a Map
+    static allSettledProps(obj, signal) {
+        return allSettledProps(this, obj, signal);
+    }
+
+    // static map utility: the elements of a (possibly async) iterable,
+    // pulled lazily, are resolved and mapped with mapper(value, index, signal),
+    // with at most options.concurrency mappers in flight.
+    // The results are in input order. The first failure rejects the
+    // returned Promyse and aborts the signal received by the mappers.
+    // options.signal cancels the whole work
+    static map(iterable, mapper, options) {
+        return map(this, iterable, mapper, options);
+    }
+
+    // like map, but one mapper at a time
+    static mapSeries(iterable, mapper, options) {
+        return mapSeries(this, iterable, mapper, options);
     }
 
+    // call iterator(value, index, signal) on each element, one at a time,
+    // resolving with the elements themselves
+    static each(iterable, iterator, options) {
+        return each(this, iterable, iterator, options);
+    }
+
+    // like map, but resolving with the elements for which the predicate is truthy
+    static filter(iterable, predicate, options) {
+        return filter(this, iterable, predicate, options);
+    }
+
+    // Promyse.using(...resources, fn): acquire the resources concurrently,
+    // call fn with them and release the ones built with disposer,
+    // in reverse order, however fn or the acquisitions end
+    static using(...args) {
+        const fn = args.pop();
+        return using(this, args, fn);
+    }
 
+    // collect the elements of an async (or sync) iterable into an array,
+    // in input order. options: concurrency, limit (the iterator is closed
+    // after that many elements) and signal
+    static fromAsyncIterable(iterable, options) {
+        return fromAsyncIterable(this, iterable, options);
+    }
+
+    // an async iterator over the outcomes of the elements of an iterable,
+    // in settlement order: for await (const value of Promyse.stream(promyses))
+    static stream(iterable, signal) {
+        return stream(this, iterable, signal);
+    }
+
+    // a Promyse resolved with the first eventName event of an EventTarget
+    // or of an EventEmitter, rejected by the events in options.rejectOn
+    // (error by default), by options.timeout and by options.signal.
+    // Every listener is removed once it settles
+    static fromEvent(target, eventName, options) {
+        return fromEvent(this, target, eventName, options);
+    }
+
+    // an async iterator over the eventName events of an EventTarget or of an EventEmitter,
+    // that pauses the target when the consumer cannot keep up
+    static fromEvents(target, eventName, options) {
+        return fromEvents(this, target, eventName, options);
+    }
+
+    // call fn(attempt, signal) until the Promyse it returns fulfills,
+    // with an exponential backoff between the attempts.
+    // When retrying stops, the returned Promyse is rejected with
+    // an AggregateError of the errors of every attempt.
+    // options: retries, factor, minTimeout, maxTimeout, jitter,
+    // shouldRetry, onRetry, signal, clock
+    static retry(fn, options) {
+        return retry(this, fn, options);
+    }
+
+    // a function that calls fn with an (err, result) callback appended
+    // to its arguments, returning a Promyse instead.
+    // options: multiArgs, to resolve with an array of every result,
+    // and context, the this of fn. A function can provide its own
+    // promisified version as fn[Promyse.promisify.custom]
+    static promisify(fn, options) {
+        return promisify(this, fn, options);
+    }
+
+    // add a promisified version of each method of obj,
+    // named with options.suffix ('Async' by default) appended
+    static promisifyAll(obj, options) {
+        return promisifyAll(this, obj, options);
+    }
+
+    // a function that calls fn and passes the outcome of the returned
+    // Promyse to an (err, result) callback appended to its arguments
+    static callbackify(fn) {
+        return callbackify(this, fn);
+    }
+
+    // a function that reuses the Promyses returned by fn for the same key:
+    // the pending ones are shared, the settled ones are cached.
+    // options: key, ttl, maxSize, cacheRejections
+    static memoize(fn, options) {
+        return memoize(this, fn, options);
+    }
+
+    // a Promyse resolved with value after ms milliseconds
+    static delay(ms, value, signal) {
+        return delay(this, ms, value, signal);
+    }
+
+    // a Promyse rejected with a TimeoutError when the date is reached.
+    // options.message, options.error as for timeout, options.signal clears the timer
+    static deadline(date, options) {
+        return deadline(this, date, options);
+    }
+
+    // replace the clock used by the timer helpers,
+    // an object with now, setTimeout and clearTimeout methods.
+    // null restores the default one
+    static setClock(clock) {
+        setClock(clock);
+    }
+
+    // a frozen snapshot of the current state of a Promyse,
+    // shaped like the records of Promyse.allSettled:
+    // { status: 'pending' }, { status: 'fulfilled', value }
+    // or { status: 'rejected', reason }
+    static inspect(promyse) {
+        const state = stateOf(promyse);
+
+        switch (state.state) {
+            case STATES.FULFILLED:
+                return Object.freeze({ status: "fulfilled", value: state.value });
+            case STATES.REJECTED:
+                return Object.freeze({ status: "rejected", reason: state.value });
+            default:
+                return Object.freeze({ status: "pending" });
+        }
+    }
+
+    // change the strategy used to schedule the reactions jobs:
+    // a function that takes a callback and calls it asynchronously
+    // or the name of a built-in one ('queueMicrotask', 'nextTick',
+    // 'mutationObserver', 'setTimeout'). null restores the default one
+    static setScheduler(scheduler) {
+        setScheduler(scheduler);
+    }
+
+    // change the global options, returning the updated ones
+    static config(options) {
+        return configure(options);
+    }
+
+    // hook called with (reason, promyse) when a Promyse is rejected
+    // and no handler was attached to it once the job queue was drained
+    static get onUnhandledRejection() {
+        return hooks.onUnhandledRejection;
+    }
+
+    static set onUnhandledRejection(hook) {
+        hooks.onUnhandledRejection = hook;
+    }
+
+    // hook called with (promyse) when a handler is attached
+    // to a Promyse previously reported as unhandled
+    static get onRejectionHandled() {
+        return hooks.onRejectionHandled;
+    }
+
+    static set onRejectionHandled(hook) {
+        hooks.onRejectionHandled = hook;
+    }
+
+    // a registry of lifecycle callbacks for tracing: init(id, parentId, promyse),
+    // settle(id, promyse), before(id) and after(id) around the reactions.
+    // It has to be enabled, and it can be disabled
+    static createHook(callbacks) {
+        return createHook(callbacks);
+    }
+
+    // hook called with (error, resource) when a resource cannot be released
+    // by Promyse.using, while another failure is rejecting it
+    static get onReleaseError() {
+        return disposersHooks.onReleaseError;
+    }
+
+    static set onReleaseError(hook) {
+        disposersHooks.onReleaseError = hook;
+    }
+}
+
+// the same symbol of util.promisify.custom
+Promyse.promisify.custom = CUSTOM;
+
+// executors of the LazyPromyses that were not subscribed yet
+const lazyExecutors = new WeakMap();
+
+// a Promyse whose executor is called only the first time someone subscribes to it:
+// by then, catch, finally, await, toPromise or by a combinator it was passed to.
+// Until then no work is started, so a LazyPromyse nobody waits for costs nothing.
+// The static utilities of LazyPromyse build lazy Promyses too:
+// LazyPromyse.all and LazyPromyse.race subscribe to their elements only when
+// someone subscribes to them. The Promyses derived by then are plain ones
+export class LazyPromyse extends Promyse {
+    constructor(executor, signal) {
+        if (typeof executor !== "function") {
+            throw new TypeError(`The executor must be a function`);
+        }
+
+        super(INTERNAL, signal);
+        lazyExecutors.set(this, executor);
+    }
+
+    // the work has already started when then returns
+    static get [Symbol.species]() {
+        return Promyse;
+    }
+
+    then(onfulfill, onreject, onprogress, signal) {
+        startLazy(this);
+        return super.then(onfulfill, onreject, onprogress, signal);
+    }
+
+    toPromise() {
+        startLazy(this);
+        return super.toPromise();
+    }
+}
+
+// call the executor of a LazyPromyse, if it was not called yet.
+// A LazyPromyse cancelled in the meantime does not start at all
+function startLazy(promyse) {
+    const executor = lazyExecutors.get(promyse);
+    if (executor === undefined) {
+        return;
+    }
+    lazyExecutors.delete(promyse);
+
+    if (!instancesStatesMap.get(promyse).settled) {
+        runExecutor(promyse, executor);
+    }
+}
+
+// synchronously call the executor,
+// passing to it the resolve and the reject functions
+// of the given Promyse instance.
+// Only the first call of either counts, even if the Promyse
+// was resolved with a thenable and so it's still pending.
+// The executor gets a notify function too, to report the progress of its work.
+// If an error is thrown, the Promyse must be rejected
+function runExecutor(promyse, executor) {
+    let alreadyResolved = false;
+    const resolveFn = value => {
+        if (!alreadyResolved) {
+            alreadyResolved = true;
+            resolve.call(promyse, value);
+        }
+    };
+    const rejectFn = reason => {
+        if (!alreadyResolved) {
+            alreadyResolved = true;
+            reject.call(promyse, reason);
+        }
+    };
+    try {
+        executor(resolveFn, rejectFn, value => notifyProgress(promyse, value));
+    } catch (e) {
+        if (!alreadyResolved) {
+            alreadyResolved = true;
+            reject.call(promyse, e);
+        }
+    }
+}
+
+// register a reaction on a Promyse: it's run in a job
+// as soon as the Promyse is settled, or right away if it already is
+function addReaction(promyse, reaction) {
+    const state = instancesStatesMap.get(promyse);
+    reaction.state = state;
+
+    if (state.settled) {
+        // a rejected Promyse is going to be handled
+        if (state.state === STATES.REJECTED) {
+            trackHandling(promyse);
+        }
+
+        // specs says that we have to defer it anyway
+        enqueue(runReaction, reaction);
+        return;
+    }
+
+    // the first reaction is stored inline, the others into the collection
+    if (state.observer === null) {
+        state.observer = reaction;
+    } else {
+        if (state.observers === null) {
+            state.observers = new Observers();
+        }
+        state.observers.add(reaction);
+    }
+
+    // if the signal will be aborted before the Promyse is settled,
+    // the reaction is dropped
+    if (reaction.signal != null) {
+        reaction.unsubscribe = subscribe(reaction.signal, () => removeReaction(state, reaction));
+    }
+}
+
+// drop a reaction that was not run yet, keeping the others in order
+function removeReaction(state, reaction) {
+    if (state.observer === reaction) {
+        state.observer = state.observers !== null && state.observers.length > 0
+            ? state.observers.shift()
+            : null;
+    } else if (state.observers !== null) {
+        state.observers.remove(reaction);
+    }
+}
+
+// the job that calls the handler of a reaction,
+// settling the derived Promyse with its result
+function runReaction(reaction) {
+    // no more need to listen to the signal
+    if (reaction.unsubscribe !== null) {
+        reaction.unsubscribe();
+        reaction.unsubscribe = null;
+    }
+
+    // if the signal was aborted in the meantime
+    // the derived Promyse is already cancelled,
+    // and the handler must not be called
+    if (isAborted(reaction.signal)) {
+        return;
+    }
+
+    const { state, value } = reaction.state;
+    const handler = state === STATES.FULFILLED ? reaction.onfulfill : reaction.onreject;
+
+    // no handler: the value or the reason is passed along as it is
+    if (handler === null) {
+        if (state === STATES.FULFILLED) {
+            resolveDerived(reaction, value);
+        } else {
+            rejectDerived(reaction, value);
+        }
+        return;
+    }
+
+    // the lifecycle hooks see the handler running on behalf of the derived Promyse
+    const hookId = enabledHooks.length !== 0 ? emitBefore(reaction.derived) : undefined;
+
+    // the handler could throw an error:
+    // in such case, the derived Promyse should be rejected
+    let result;
+    try {
+        result = handler(value);
+    } catch (e) {
+        emitAfter(hookId);
+        rejectDerived(reaction, e);
+        return;
+    }
+    emitAfter(hookId);
+    resolveDerived(reaction, result);
 }
 
-// resolve function passed into the executor to fulfill a Promyse
+function resolveDerived(reaction, value) {
+    if (reaction.resolve === null) {
+        resolve.call(reaction.derived, value);
+    } else {
+        reaction.resolve(value);
+    }
+}
+
+function rejectDerived(reaction, reason) {
+    if (reaction.reject === null) {
+        reject.call(reaction.derived, reason);
+    } else {
+        reaction.reject(reason);
+    }
+}
+
+// report a progress notification of a pending Promyse to its progress handlers
+// and, through its reactions, to the Promyses derived from it.
+// It never changes the state of any Promyse
+function notifyProgress(promyse, value) {
+    const state = instancesStatesMap.get(promyse);
+    if (state.settled) {
+        return;
+    }
+
+    // who is listening now gets the notification,
+    // even if the Promyse is settled before it's delivered
+    const handlers = state.progressHandlers !== null ? state.progressHandlers.slice() : [];
+    const reactions = [];
+    if (state.observer !== null) {
+        reactions.push(state.observer);
+    }
+    if (state.observers !== null) {
+        reactions.push(...state.observers.list);
+    }
+
+    if (handlers.length > 0 || reactions.length > 0) {
+        enqueue(runProgress, { handlers, reactions, value });
+    }
+}
+
+// the job that delivers a progress notification
+function runProgress({ handlers, reactions, value }) {
+    handlers.forEach(handler => callProgressHandler(handler, value));
+
+    reactions.forEach(reaction => {
+        // a cancelled reaction does not get notified anymore
+        if (isAborted(reaction.signal)) {
+            return;
+        }
+        if (reaction.onprogress !== null) {
+            callProgressHandler(reaction.onprogress, value);
+        }
+        if (isPromyse(reaction.derived)) {
+            notifyProgress(reaction.derived, value);
+        }
+    });
+}
+
+// a progress handler that throws cannot reject anything:
+// the error is reported, and the other handlers are called anyway
+function callProgressHandler(handler, value) {
+    try {
+        handler(value);
+    } catch (e) {
+        rethrow(e);
+    }
+}
+
+// resolve a Promyse: this pointer will be a Promyse instance
 function resolve(value) {
-    // this pointer will be a Promyse instance
+    const state = instancesStatesMap.get(this);
+
+    // resolve the Promyse only if it was not already settled,
+    // for instance cancelled while waiting for a thenable
+    if (state.settled) {
+        return;
+    }
 
     // If this and value refer to the same object, reject promise with a TypeError as the reason.
     if (this === value) {
-        throw TypeError('Cannot solve a Promyse with itself');
-    }
-
-    // resolve the Promyse only if it was not already resolved
-    if (!instancesStatesMap.get(this).settled) {
-
-        // Promyse resolved with a Promyse shouldn't happen
-        if (value instanceof Promyse) {
-            // if the value is itself a Promyse, we have to unwrap it
-            // thanks to 'then' method
-            value.then(
-                value => {
-                    // uuuh recursion
-                    resolve.call(this, value);
-                },
-                reason => {
-                    reject.call(this, reason);
-                });
-
-            // we have unwrapped the Promyse, nothing else to do here
-            return;
-        } else if (isThenable(value)) {
-            // unwrap the thenable too
-
-            // if retrieving the property value.then results in a thrown exception e,
-            // reject the promyse with e as the reason
-            let then = null;
-            try {
-                then = value.then;
-            } catch (e) {
-                reject.call(this, e);
-                // we have handled the error inside then metod,
-                // which took care of notify observers
-                // nothing else to do here
-                return;
-            }
+        reject.call(this, new TypeError('Cannot resolve a Promyse with itself'));
+        return;
+    }
 
-            // if then is a method
-            // call method then of the thenable like it is a Promyse's then
-            if (typeof then === "function") {
+    // is a Promyse resolved with a non-thenable value
+    if (value !== Object(value)) {
+        settle(this, state, STATES.FULFILLED, value);
+        return;
+    }
 
-                let alreadyCalled = false;
+    // if retrieving the property value.then results in a thrown exception e,
+    // reject the promyse with e as the reason
+    let then = null;
+    try {
+        then = value.then;
+    } catch (e) {
+        reject.call(this, e);
+        return;
+    }
 
-                try {
-                    then.call(
-                        value,
-                        // If both resolvePromise and rejectPromise are called,
-                        // or multiple calls to the same argument are made,
-                        // the first call takes precedence, and any further calls are ignored.
-                        // In fact, we don't know how the thenable will behave
-                        value => {
-                            if (!alreadyCalled) {
-                                resolve.call(this, value)
-                                alreadyCalled = true;
-                            };
-                        },
-                        reason => {
-                            if (!alreadyCalled) {
-                                reject.call(this, reason)
-                                alreadyCalled = true;
-                            };
-                        }
-                    );
-                } catch (e) {
-                    // If calling then throws an exception e,
-                    // if one of two callbacks passed to then was called, ignore it.
-                    // Otherwise, reject promyse with e as the reason.
-                    if (!alreadyCalled) {
-                        reject.call(this, e);
-                    }
-                }
+    // is a Promyse resolved with a non-Promyse but thenable (where then is not a function) value
+    if (typeof then !== "function") {
+        settle(this, state, STATES.FULFILLED, value);
+        return;
+    }
+
+    // a native Promise already calls back in a later job, and only once:
+    // its then is called right away
+    if (then === nativeThen) {
+        try {
+            then.call(value, v => resolve.call(this, v), r => reject.call(this, r));
+        } catch (e) {
+            reject.call(this, e);
+        }
+        return;
+    }
 
-                // we have unwrapped the thenable, nothing else to do here
-                return;
+    // the thenable has to be unwrapped, calling its then method
+    // in a later job, like native Promises do
+    enqueue(resolveThenableJob, { promyse: this, thenable: value, then });
+}
 
-            } else {
-                // is a Promyse resolved with a non-Promyse but thenable (where then is not a function) value
-                instancesStatesMap.set(this, new State(STATES.FULFILLED, value, true));
-            }
+// the job that unwraps a thenable a Promyse was resolved with
+function resolveThenableJob({ promyse, thenable, then }) {
+    // a plain Promyse is adopted directly, registering an internal
+    // reaction on it instead of calling then: it takes the same jobs
+    // but no derived Promyse is created
+    if (then === promyseThen && isPromyse(thenable) && thenable.constructor === Promyse) {
+        const reaction = new Reaction(null, null, null, undefined);
+        reaction.derived = promyse;
+        addReaction(thenable, reaction);
+        return;
+    }
 
+    // If both resolvePromise and rejectPromise are called,
+    // or multiple calls to the same argument are made,
+    // the first call takes precedence, and any further calls are ignored.
+    // In fact, we don't know how the thenable will behave
+    let alreadyCalled = false;
+    const resolveFn = value => {
+        if (!alreadyCalled) {
+            alreadyCalled = true;
+            resolve.call(promyse, value);
+        }
+    };
+    const rejectFn = reason => {
+        if (!alreadyCalled) {
+            alreadyCalled = true;
+            reject.call(promyse, reason);
+        }
+    };
 
+    try {
+        if (then === promyseThen) {
+            // other Promyses pass their progress notifications along
+            then.call(thenable, resolveFn, rejectFn, value => notifyProgress(promyse, value));
         } else {
-            // is a Promyse resolved with a non-thenable non-Promyse value
-            instancesStatesMap.set(this, new State(STATES.FULFILLED, value, true));
+            then.call(thenable, resolveFn, rejectFn);
         }
+    } catch (e) {
+        // If calling then throws an exception e,
+        // if one of two callbacks passed to then was called, ignore it.
+        // Otherwise, reject promyse with e as the reason.
+        if (!alreadyCalled) {
+            alreadyCalled = true;
+            reject.call(promyse, e);
+        }
+    }
+}
+
+// reject a Promyse: this pointer will be a Promyse instance
+function reject(reason) {
+    const state = instancesStatesMap.get(this);
+
+    // reject the Promyse only if it was not already settled.
+    // Whichever reason is accepted, also a Promyse or a thenable one
+    if (!state.settled) {
+        settle(this, state, STATES.REJECTED, reason);
+    }
+}
+
+// settle a Promyse, updating its internal slots in place,
+// and schedule the reactions registered on it
+function settle(promyse, state, newState, value) {
+    state.state = newState;
+    state.value = value;
+
+    const observer = state.observer;
+    const observers = state.observers;
+    // no more need of the reactions, because then will act differently
+    // now that the Promyse is settled
+    state.observer = null;
+    state.observers = null;
+    state.progressHandlers = null;
+
+    if (enabledHooks.length !== 0) {
+        emitSettle(promyse);
+    }
 
-        // now all observer for the current Promyse should be notified and removed
-        // from the observers collection (even because no Promyse could be resolved more than once)
+    if (watched.count !== 0) {
+        notifyWatchers(promyse, newState === STATES.REJECTED, value);
+    }
 
-        // get observers collection
-        const observers = instancesObservers.get(this);
-        // call all 'onfulfill' observers, removing each one from the collection
-        while (observers.hasNext) {
-            const { onfulfill } = observers.get();
-            // promyses resolution must be deferred
-            setTimeout(onfulfill, 0, instancesStatesMap.get(this).value);
-            //Promise.resolve().then(() => onfulfill(instancesStatesMap.get(this).value));
-        };
+    if (newState === STATES.REJECTED) {
+        // add where the chain was built to the stack of the reason,
+        // if long stack traces are enabled
+        stitchTrace(promyse, value);
+    }
 
-        // no more need of the collection, because then method will acts differently
-        // if the promyse is already settled
-        instancesObservers.delete(this);
+    // no more need to listen to the signal, if any
+    if (state.unsubscribe !== null) {
+        state.unsubscribe();
+        state.unsubscribe = null;
     }
 
+    // nobody is observing the Promyse: the rejection could go unhandled
+    if (newState === STATES.REJECTED && observer === null) {
+        trackRejection(promyse, value);
+    }
+
+    // the reactions must be deferred, in registration order
+    if (observer !== null) {
+        enqueue(runReaction, observer);
+    }
+    if (observers !== null) {
+        const list = observers.list;
+        for (let i = 0; i < list.length; i++) {
+            enqueue(runReaction, list[i]);
+        }
+    }
 }
 
-// reject function passed into the executor to reject a Promyse
-function reject(reason) {
-    // this pointer will be a Promyse instance
-
-    // reject the Promyse only if it was not already settled
-    if (!instancesStatesMap.get(this).settled) {
-        // whichever reason is accepted, also a Promyse or a thenable one
-        instancesStatesMap.set(this, new State(STATES.REJECTED, reason, true));
-
-        // now all observer for the current Promyse should be notified and removed
-        // from the observers collection (even because no Promyse could be rejected more than once)
-
-        // get observers collection
-        const observers = instancesObservers.get(this);
-        // call all 'onreject' observers, removing each one from the collection
-        while (observers.hasNext) {
-            const { onreject } = observers.get();
-            // promyses resolution must be deferred
-            setTimeout(onreject, 0, instancesStatesMap.get(this).value);
-            // Promise.resolve().then(() => onreject(instancesStatesMap.get(this).value));
-        };
-
-        // no more need of the collection, because then method will acts differently
-        // if the promyse is already settled
-        instancesObservers.delete(this);
-    }
-}
\ No newline at end of file
+// the original then, to recognize Promyses that can be adopted directly
+const promyseThen = Promyse.prototype.then;
+
+// the then of native Promises, where available
+const nativeThen = typeof Promise === "function" ? Promise.prototype.then : null;
+
+export { CancelToken } from './cancellation.js';
+export { CancellationError, AggregateError, TimeoutError } from './errors.js';
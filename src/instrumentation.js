@@ -0,0 +1,103 @@
+import { rethrow } from './scheduler.js';
+
+// the lifecycle events a hook can listen to
+const EVENTS = ["init", "settle", "before", "after"];
+
+// the enabled hooks. The Promyse internals check its length first,
+// so that nothing else is done while no hook is enabled
+export const enabledHooks = [];
+
+// ids of the Promyses created while some hook was enabled.
+// The other ones are not tracked at all
+const ids = new WeakMap();
+let nextId = 1;
+
+// id of the Promyse whose reaction is running, 0 outside of any reaction,
+// and the ones of the reactions it interrupted, if any
+let executionId = 0;
+const executionIds = [];
+
+// a hook that throws cannot break the Promyse it's observing:
+// the error is reported, and the other hooks are called anyway
+function emit(event, ...args) {
+    // a hook disabled by another one is not called anymore
+    enabledHooks.slice().forEach(hook => {
+        if (hook[event] !== undefined) {
+            try {
+                hook[event](...args);
+            } catch (e) {
+                rethrow(e);
+            }
+        }
+    });
+}
+
+// a registry of lifecycle callbacks, disabled until enable is called:
+// init(id, parentId, promyse) when a Promyse is created, settle(id, promyse)
+// when it's fulfilled or rejected, before(id) and after(id) around the
+// reaction that settles the Promyse with that id.
+// The parent is the Promyse whose reaction was running when the new one was created,
+// so that a context can flow from the creating code into the reactions
+export function createHook(callbacks) {
+    if (callbacks !== Object(callbacks)) {
+        throw new TypeError(`The hook callbacks must be an object`);
+    }
+
+    const hook = {};
+    EVENTS.forEach(event => {
+        const callback = callbacks[event];
+        if (callback !== undefined && typeof callback !== "function") {
+            throw new TypeError(`The ${event} hook must be a function`);
+        }
+        hook[event] = callback;
+    });
+
+    return {
+        enable() {
+            if (!enabledHooks.includes(hook)) {
+                enabledHooks.push(hook);
+            }
+            return this;
+        },
+
+        disable() {
+            const idx = enabledHooks.indexOf(hook);
+            if (idx !== -1) {
+                enabledHooks.splice(idx, 1);
+            }
+            return this;
+        },
+    };
+}
+
+export function emitInit(promyse) {
+    const id = nextId++;
+    ids.set(promyse, id);
+    emit("init", id, executionId, promyse);
+}
+
+export function emitSettle(promyse) {
+    const id = ids.get(promyse);
+    if (id !== undefined) {
+        emit("settle", id, promyse);
+    }
+}
+
+// enter the reaction that settles the given Promyse.
+// Returns the id to be passed to emitAfter, if the Promyse is tracked
+export function emitBefore(promyse) {
+    const id = ids.get(promyse);
+    if (id !== undefined) {
+        executionIds.push(executionId);
+        executionId = id;
+        emit("before", id);
+    }
+    return id;
+}
+
+export function emitAfter(id) {
+    if (id !== undefined) {
+        emit("after", id);
+        executionId = executionIds.pop();
+    }
+}
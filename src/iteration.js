@@ -0,0 +1,55 @@
+import { run } from './collections.js';
+import { checkSignal, subscribe, cancellationReasonOf } from './cancellation.js';
+import { createOutcomeQueue } from './outcomes.js';
+
+// collect the elements of an async (or sync) iterable into an array, in input order.
+// options.concurrency: how many elements can be resolved at the same time.
+// options.limit: how many elements to collect at most, the iterator is closed after them.
+// options.signal cancels the collection, closing the iterator
+export function fromAsyncIterable(C, iterable, options) {
+    return run(C, iterable, value => value, options)
+        .then(({ values }) => values);
+}
+
+// an async iterator over the outcomes of the elements of an iterable,
+// in the order they settle rather than in input order.
+// The first rejection is thrown into the consumer, and ends the iteration.
+// Aborting the signal ends it too, rejecting the pending next calls
+export function stream(C, iterable, signal) {
+    if (iterable !== Object(iterable) || typeof iterable[Symbol.iterator] !== "function") {
+        // iterable argument was not an iterable
+        throw new TypeError(`${String(iterable)} is not an iterable`);
+    }
+    checkSignal(signal);
+
+    // how many elements are still to be settled
+    let remaining = 0;
+
+    // an already aborted signal calls back right away
+    let unsubscribe = () => { };
+    const { iterator, push, end, abort } = createOutcomeQueue(C, { onClose: () => unsubscribe() });
+    unsubscribe = subscribe(signal, () => abort(cancellationReasonOf(signal)));
+
+    function settled(outcome) {
+        remaining--;
+        push(outcome);
+        if (remaining === 0) {
+            end();
+        }
+    }
+
+    for (const el of iterable) {
+        remaining++;
+        C.resolve(el).then(
+            value => settled({ fulfilled: true, value }),
+            reason => settled({ fulfilled: false, value: reason })
+        );
+    }
+
+    // nothing to wait for
+    if (remaining === 0) {
+        end();
+    }
+
+    return iterator;
+}
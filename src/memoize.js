@@ -0,0 +1,106 @@
+import { now } from './clock.js';
+import { watch } from './watchers.js';
+
+const DEFAULT_OPTIONS = {
+    // called with the arguments of each call, returns the key of its result
+    key: first => first,
+    // milliseconds a result is reused for, counted from the call
+    ttl: Infinity,
+    // how many results are kept at most, the least recently used ones are dropped
+    maxSize: Infinity,
+    // if true, rejections are reused like fulfillments
+    cacheRejections: false,
+};
+
+function checkOptions({ key, ttl, maxSize }) {
+    if (typeof key !== "function") {
+        throw new TypeError(`The key must be a function`);
+    }
+    if (typeof ttl !== "number" || !(ttl >= 0)) {
+        throw new TypeError(`The ttl must be a non-negative number`);
+    }
+    if (!(Number.isInteger(maxSize) && maxSize > 0) && maxSize !== Infinity) {
+        throw new TypeError(`The maxSize must be a positive integer or Infinity`);
+    }
+}
+
+// a function that calls fn only if no result for the same key can be reused,
+// returning a Promyse built by C. The callers with the same key share the Promyse
+// while it's pending. Once settled, it's reused until the ttl expires, unless
+// it was rejected and options.cacheRejections is not set: then it's evicted
+// as soon as it's rejected.
+// The memoized function has clear() and delete(key) methods too
+export function memoize(C, fn, options) {
+    if (typeof fn !== "function") {
+        throw new TypeError(`${String(fn)} is not a function`);
+    }
+
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    checkOptions(options);
+
+    const { key, ttl, maxSize, cacheRejections } = options;
+
+    // the entries in least recently used order: a Map keeps the insertion one
+    const cache = new Map();
+
+    // the result of an entry can be reused: a pending call is always shared
+    function isReusable({ promyse, expiresAt }) {
+        return promyse.isPending() || now() < expiresAt;
+    }
+
+    // drop the entry of a rejected Promyse, unless the cache was replaced meanwhile
+    function evict(k, entry) {
+        if (cache.get(k) === entry) {
+            cache.delete(k);
+        }
+    }
+
+    function memoized(...args) {
+        const k = key(...args);
+
+        const cached = cache.get(k);
+        if (cached !== undefined) {
+            // the entry becomes the most recently used one, or it's dropped
+            cache.delete(k);
+            if (isReusable(cached)) {
+                cache.set(k, cached);
+                return cached.promyse;
+            }
+        }
+
+        // fn could throw: in such case the Promyse is rejected
+        const promyse = new C(resolve => resolve(fn.apply(this, args)));
+        const entry = { promyse, expiresAt: now() + ttl };
+        cache.set(k, entry);
+
+        // watching the Promyse does not count as handling its rejection,
+        // which is up to the callers
+        if (!cacheRejections) {
+            if (promyse.isPending()) {
+                watch(promyse, rejected => {
+                    if (rejected) {
+                        evict(k, entry);
+                    }
+                });
+            } else if (promyse.isRejected()) {
+                evict(k, entry);
+            }
+        }
+
+        if (cache.size > maxSize) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        return promyse;
+    }
+
+    // forget every result
+    memoized.clear = () => {
+        cache.clear();
+    };
+
+    // forget the result for a key, if any
+    memoized.delete = k => cache.delete(k);
+
+    return memoized;
+}
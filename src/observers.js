@@ -1,17 +1,53 @@
+// a reaction registered by then: the handlers to be called
+// when a Promyse is settled, and the derived Promyse to be
+// settled with their result
+export class Reaction {
+    constructor(onfulfill, onreject, onprogress, signal) {
+        // null handlers just pass the value or the reason along
+        this.onfulfill = onfulfill;
+        this.onreject = onreject;
+        // called with the progress notifications, if not null
+        this.onprogress = onprogress;
+        this.signal = signal;
+
+        // the derived Promyse, which gets the progress notifications too
+        this.derived = null;
+        // the resolving functions of the derived Promyse, if it was
+        // built by another constructor: plain Promyses are settled directly
+        this.resolve = null;
+        this.reject = null;
+
+        // the state of the Promyse the reaction was registered on
+        this.state = null;
+
+        // stops listening to the signal, if any
+        this.unsubscribe = null;
+    }
+}
+
+// the reactions of a Promyse but the first one, in registration order
 export default class Observers {
     constructor() {
-        this.observers = [];
+        this.list = [];
+    }
+
+    add(observer) {
+        this.list.push(observer);
     }
 
-    add({onfulfill, onreject}) {
-        this.observers.push({onfulfill, onreject});
+    remove(observer) {
+        const idx = this.list.indexOf(observer);
+        if (idx !== -1) {
+            this.list.splice(idx, 1);
+        }
     }
 
-    get() {
-        return this.observers.shift();
+    // remove and return the first observer
+    shift() {
+        return this.list.shift();
     }
 
-    get hasNext() {
-        return this.observers.length;
+    get length() {
+        return this.list.length;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,112 @@
+// a queue of outcomes, { fulfilled, value }, consumed through an async iterator
+// whose next calls return Promyses built by C. The producer pushes the outcomes
+// and ends the queue once no more are coming: the buffered ones are consumed first.
+// The first rejection is thrown into the consumer, and closes the queue.
+// Optional hooks: onBuffer(size) after an outcome is buffered, onTake(size) after
+// one is taken from the buffer, onClose() once, when the queue is closed
+export function createOutcomeQueue(C, { onBuffer, onTake, onClose } = {}) {
+    // outcomes not yet consumed, in push order
+    let outcomes = [];
+    // resolving functions of the next calls waiting for an outcome
+    let requests = [];
+    // no more outcomes are coming
+    let ended = false;
+    let closed = false;
+
+    // no more outcomes: drop the buffered ones and end the pending next calls
+    function close() {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        outcomes = [];
+        if (onClose !== undefined) {
+            onClose();
+        }
+
+        const toBeEnded = requests;
+        requests = [];
+        toBeEnded.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+    }
+
+    // hand an outcome to a next call
+    function deliver({ resolve, reject }, { fulfilled, value }) {
+        if (fulfilled) {
+            resolve({ value, done: false });
+        } else {
+            reject(value);
+            close();
+        }
+    }
+
+    // the next buffered outcome: the last one after the end closes the queue
+    function take() {
+        const outcome = outcomes.shift();
+        if (onTake !== undefined) {
+            onTake(outcomes.length);
+        }
+        if (ended && outcomes.length === 0) {
+            close();
+        }
+        return outcome;
+    }
+
+    function push(outcome) {
+        // the consumer went away, or the producer said it was done
+        if (closed || ended) {
+            return;
+        }
+
+        if (requests.length > 0) {
+            deliver(requests.shift(), outcome);
+            return;
+        }
+
+        outcomes.push(outcome);
+        if (onBuffer !== undefined) {
+            onBuffer(outcomes.length);
+        }
+    }
+
+    // nothing else is coming for who is still waiting, once the buffer is drained
+    function end() {
+        ended = true;
+        if (outcomes.length === 0) {
+            close();
+        }
+    }
+
+    // the iteration is cancelled: the pending next calls are rejected with reason
+    function abort(reason) {
+        const toBeRejected = requests;
+        requests = [];
+        close();
+        toBeRejected.forEach(({ reject }) => reject(reason));
+    }
+
+    const iterator = {
+        next() {
+            return new C((resolve, reject) => {
+                if (outcomes.length > 0) {
+                    deliver({ resolve, reject }, take());
+                } else if (closed) {
+                    resolve({ value: undefined, done: true });
+                } else {
+                    requests.push({ resolve, reject });
+                }
+            });
+        },
+
+        // called by for await when the consumer breaks out of the loop
+        return(value) {
+            close();
+            return C.resolve({ value, done: true });
+        },
+
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+    };
+
+    return { iterator, push, end, abort };
+}
@@ -0,0 +1,35 @@
+// combined progress of the elements of Promyse.all and Promyse.allSettled.
+// Nothing is reported until an element notifies some progress: since then,
+// each notification and each settlement of an element is reported through
+// notify as { settled, total, progress }, where progress holds the last value
+// notified by each element, in input order
+export function createProgressAggregator(notify) {
+    const progress = [];
+    let settled = 0;
+    let reporting = false;
+
+    function report() {
+        // a subclass constructor could have not passed notify along
+        if (reporting && typeof notify === "function") {
+            notify({ settled, total: progress.length, progress: progress.slice() });
+        }
+    }
+
+    return {
+        // a new element, with no progress yet
+        add() {
+            progress.push(undefined);
+        },
+
+        progress(idx, value) {
+            progress[idx] = value;
+            reporting = true;
+            report();
+        },
+
+        settle() {
+            settled++;
+            report();
+        },
+    };
+}
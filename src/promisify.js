@@ -0,0 +1,129 @@
+import { enqueue } from './scheduler.js';
+
+// the same symbol of util.promisify.custom: a function can provide
+// its own promisified version under it
+export const CUSTOM = Symbol.for("nodejs.util.promisify.custom");
+
+const DEFAULT_PROMISIFY_ALL_OPTIONS = {
+    // appended to the names of the promisified methods
+    suffix: "Async",
+    multiArgs: false,
+};
+
+function checkFunction(fn) {
+    if (typeof fn !== "function") {
+        throw new TypeError(`${String(fn)} is not a function`);
+    }
+}
+
+// a function that calls fn with an (err, result) callback appended to its arguments,
+// returning a Promyse built by C instead.
+// options.multiArgs resolves with the array of every result,
+// options.context is the this of fn, the this of the call by default
+export function promisify(C, fn, { multiArgs = false, context } = {}) {
+    checkFunction(fn);
+
+    // fn knows better how to be promisified
+    if (Object.prototype.hasOwnProperty.call(fn, CUSTOM)) {
+        const custom = fn[CUSTOM];
+        if (typeof custom !== "function") {
+            throw new TypeError(`The ${String(CUSTOM)} property must be a function`);
+        }
+        return custom;
+    }
+
+    function promisified(...args) {
+        const thisArg = context !== undefined ? context : this;
+
+        // if fn throws, the Promyse is rejected
+        return new C((resolve, reject) => {
+            fn.call(thisArg, ...args, (err, ...results) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(multiArgs ? results : results[0]);
+                }
+            });
+        });
+    }
+
+    // promisifying it again gives back the same function
+    Object.defineProperty(promisified, CUSTOM, { value: promisified });
+
+    return promisified;
+}
+
+// add a promisified version of each method of obj, own or inherited,
+// named after the method with options.suffix appended.
+// Existing properties are never overwritten
+export function promisifyAll(C, obj, options) {
+    if (obj !== Object(obj)) {
+        throw new TypeError(`Cannot promisify the methods of ${String(obj)}`);
+    }
+
+    const { suffix, multiArgs } = Object.assign({}, DEFAULT_PROMISIFY_ALL_OPTIONS, options);
+    if (typeof suffix !== "string" || suffix === "") {
+        throw new TypeError(`The suffix must be a non-empty string`);
+    }
+
+    // walk the prototype chain, without going into the one of every object
+    for (let proto = obj; proto !== null && proto !== Object.prototype && proto !== Function.prototype; proto = Object.getPrototypeOf(proto)) {
+        Object.getOwnPropertyNames(proto).forEach(key => {
+            // getters are not called, only plain methods are promisified
+            const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+            if (key === "constructor" || typeof descriptor.value !== "function") {
+                return;
+            }
+            if (key.endsWith(suffix) || key + suffix in obj) {
+                return;
+            }
+
+            // the this of the promisified method is the one of the call,
+            // so it keeps working on objects inheriting from obj
+            obj[key + suffix] = promisify(C, descriptor.value, { multiArgs });
+        });
+    }
+
+    return obj;
+}
+
+// the reverse of promisify: a function that calls fn, which returns
+// a Promyse or a value, and passes its outcome to an (err, result) callback
+// appended to the arguments
+export function callbackify(C, fn) {
+    checkFunction(fn);
+
+    return function callbackified(...args) {
+        const callback = args.pop();
+        if (typeof callback !== "function") {
+            throw new TypeError(`The last argument must be a callback`);
+        }
+
+        let result = null;
+        try {
+            result = fn.apply(this, args);
+        } catch (e) {
+            result = C.reject(e);
+        }
+
+        // the callback is called in its own job, so that what it throws
+        // is reported as an error and does not become a rejection
+        C.resolve(result).then(
+            value => enqueue(() => callback(null, value)),
+            reason => enqueue(() => callback(toError(reason)))
+        );
+    };
+}
+
+// a callback cannot tell a falsy err from a success:
+// such reasons are wrapped into an Error, like util.callbackify does
+function toError(reason) {
+    if (reason) {
+        return reason;
+    }
+
+    const error = new Error(`Promyse was rejected with a falsy value`);
+    error.code = "ERR_FALSY_VALUE_REJECTION";
+    error.reason = reason;
+    return error;
+}
@@ -0,0 +1,40 @@
+// the keys and the values of a Map, or of the own enumerable properties of an object
+function entriesOf(obj) {
+    if (obj instanceof Map) {
+        return { keys: Array.from(obj.keys()), values: Array.from(obj.values()), isMap: true };
+    }
+    if (obj === Object(obj)) {
+        const keys = Object.keys(obj);
+        return { keys, values: keys.map(key => obj[key]), isMap: false };
+    }
+    // obj argument was not an object
+    throw new TypeError(`Cannot resolve the properties of ${String(obj)}`);
+}
+
+// put the results back under their keys, into a Map if the input was one
+function rebuild({ keys, isMap }, results) {
+    if (isMap) {
+        return new Map(keys.map((key, idx) => [key, results[idx]]));
+    }
+
+    const output = {};
+    keys.forEach((key, idx) => {
+        output[key] = results[idx];
+    });
+    return output;
+}
+
+// like Promyse.all, but for the values of an object or of a Map:
+// it resolves with an object, or a Map, with the same keys
+export function props(C, obj, signal) {
+    const entries = entriesOf(obj);
+    return C.all(entries.values, signal)
+        .then(results => rebuild(entries, results));
+}
+
+// like Promyse.allSettled, but for the values of an object or of a Map
+export function allSettledProps(C, obj, signal) {
+    const entries = entriesOf(obj);
+    return C.allSettled(entries.values, signal)
+        .then(results => rebuild(entries, results));
+}
@@ -0,0 +1,96 @@
+import { enqueue, onceDrained } from './scheduler.js';
+import { config } from './config.js';
+
+// user provided hooks, see Promyse.onUnhandledRejection
+// and Promyse.onRejectionHandled
+export const hooks = {
+    onUnhandledRejection: null,
+    onRejectionHandled: null,
+};
+
+// rejected Promyses without any handler, with their reasons.
+// They will be reported only if nobody has handled them
+// once the job queue has been drained
+const maybeUnhandled = new Map();
+
+// Promyses already reported as unhandled, with their reasons:
+// if a handler is attached later, we have to report
+// that they were handled after all
+const reported = new WeakMap();
+
+let checkScheduled = false;
+
+// a Promyse was rejected while it had no observers
+export function trackRejection(promyse, reason) {
+    maybeUnhandled.set(promyse, reason);
+
+    if (!checkScheduled) {
+        checkScheduled = true;
+        onceDrained(reportUnhandledRejections);
+    }
+}
+
+// a handler was attached to an already rejected Promyse
+export function trackHandling(promyse) {
+    if (maybeUnhandled.has(promyse)) {
+        // still in time, nothing will be reported
+        maybeUnhandled.delete(promyse);
+    } else if (reported.has(promyse)) {
+        // too late, it was already reported
+        const reason = reported.get(promyse);
+        reported.delete(promyse);
+        enqueue(() => notifyRejectionHandled(promyse, reason));
+    }
+}
+
+function reportUnhandledRejections() {
+    checkScheduled = false;
+
+    const unhandled = [...maybeUnhandled];
+    maybeUnhandled.clear();
+
+    unhandled.forEach(([promyse, reason]) => {
+        reported.set(promyse, reason);
+        notifyUnhandledRejection(promyse, reason);
+    });
+}
+
+function notifyUnhandledRejection(promyse, reason) {
+    if (typeof hooks.onUnhandledRejection === "function") {
+        hooks.onUnhandledRejection(reason, promyse);
+    }
+
+    if (config.forwardUnhandledRejections) {
+        forward("unhandledRejection", "unhandledrejection", promyse, reason);
+    }
+}
+
+function notifyRejectionHandled(promyse, reason) {
+    if (typeof hooks.onRejectionHandled === "function") {
+        hooks.onRejectionHandled(promyse);
+    }
+
+    if (config.forwardUnhandledRejections) {
+        forward("rejectionHandled", "rejectionhandled", promyse, reason);
+    }
+}
+
+// forward the notification to the runtime, as if it was about a native Promise
+function forward(nodeEventName, domEventName, promyse, reason) {
+    if (typeof process === "object" && process !== null && typeof process.emit === "function") {
+        // Node.js
+        if (nodeEventName === "unhandledRejection") {
+            process.emit(nodeEventName, reason, promyse);
+        } else {
+            process.emit(nodeEventName, promyse);
+        }
+
+    } else if (typeof dispatchEvent === "function" && typeof Event === "function") {
+        // browsers: PromiseRejectionEvent only accepts native Promises,
+        // so a plain event with the same shape is dispatched
+        const event = new Event(domEventName, { cancelable: true });
+        event.promise = promyse;
+        event.reason = reason;
+        dispatchEvent(event);
+    }
+}
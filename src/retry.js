@@ -0,0 +1,118 @@
+import { setTimer, checkClock, MAX_TIMER_DELAY } from './clock.js';
+import { subscribe, checkSignal, isAborted } from './cancellation.js';
+import { AggregateError } from './errors.js';
+
+const DEFAULT_OPTIONS = {
+    // how many times fn is called again after the first failure
+    retries: 10,
+    // growth of the wait between two attempts
+    factor: 2,
+    // wait before the first retry
+    minTimeout: 1000,
+    // upper bound of the wait between two attempts
+    maxTimeout: Infinity,
+    // if true, each wait is a random time between 0 and the computed one
+    jitter: false,
+    // called with (error, attempt): a falsy result stops retrying
+    shouldRetry: () => true,
+    // called with (error, attempt, wait) before waiting for the next attempt
+    onRetry: () => { },
+    signal: undefined,
+    // the clock used to wait, the global one by default
+    clock: undefined,
+};
+
+function checkOptions(options) {
+    const { retries, factor, minTimeout, maxTimeout, shouldRetry, onRetry, signal, clock } = options;
+
+    if (!(Number.isInteger(retries) && retries >= 0) && retries !== Infinity) {
+        throw new TypeError(`The retries must be a non-negative integer or Infinity`);
+    }
+    if (typeof factor !== "number" || !(factor >= 1)) {
+        throw new TypeError(`The factor must be a number greater than or equal to 1`);
+    }
+    if (typeof minTimeout !== "number" || !(minTimeout >= 0)) {
+        throw new TypeError(`The minTimeout must be a non-negative number`);
+    }
+    if (typeof maxTimeout !== "number" || !(maxTimeout >= minTimeout)) {
+        throw new TypeError(`The maxTimeout must be a number greater than or equal to minTimeout`);
+    }
+    if (typeof shouldRetry !== "function" || typeof onRetry !== "function") {
+        throw new TypeError(`The shouldRetry and onRetry options must be functions`);
+    }
+    checkSignal(signal);
+    checkClock(clock);
+}
+
+// the wait before the retry following the given attempt (1 based).
+// It never grows past the longest delay of a host timer: after enough
+// attempts the exponential would reach Infinity, that is never retrying
+function backoff({ factor, minTimeout, maxTimeout, jitter }, attempt) {
+    const wait = Math.min(maxTimeout, MAX_TIMER_DELAY, minTimeout * Math.pow(factor, attempt - 1));
+    return jitter ? Math.round(Math.random() * wait) : wait;
+}
+
+// call fn(attempt, signal) until the Promyse it returns fulfills,
+// waiting an exponentially growing time between the attempts.
+// The returned Promyse, built by C, is rejected with an AggregateError
+// of the errors of every attempt when retrying stops
+export function retry(C, fn, options = {}) {
+    if (typeof fn !== "function") {
+        throw new TypeError(`${String(fn)} is not a function`);
+    }
+
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    checkOptions(options);
+
+    const { retries, shouldRetry, onRetry, signal, clock } = options;
+
+    return new C((resolve, reject) => {
+        const errors = [];
+        let attempt = 0;
+
+        function giveUp() {
+            reject(new AggregateError(errors, `Gave up after ${attempt} attempt${attempt === 1 ? "" : "s"}`));
+        }
+
+        function tryOnce() {
+            attempt++;
+
+            // fn is called inside then, so that throwing is just a failed attempt
+            C.resolve()
+                .then(() => fn(attempt, signal))
+                .then(resolve, error => {
+                    errors.push(error);
+
+                    // the signal was aborted during the attempt:
+                    // the returned Promyse is already cancelled
+                    if (isAborted(signal)) {
+                        return;
+                    }
+
+                    if (attempt > retries || !shouldRetry(error, attempt)) {
+                        giveUp();
+                        return;
+                    }
+
+                    const wait = backoff(options, attempt);
+                    onRetry(error, attempt, wait);
+                    waitThenTry(wait);
+                })
+                // shouldRetry or onRetry have thrown
+                .then(null, reject);
+        }
+
+        // aborting the signal between two attempts clears the timer
+        function waitThenTry(wait) {
+            let clearTimer = null;
+            const unsubscribe = subscribe(signal, () => clearTimer());
+            clearTimer = setTimer(() => {
+                unsubscribe();
+                tryOnce();
+            }, wait, clock);
+        }
+
+        tryOnce();
+    }, signal);
+}
+
@@ -0,0 +1,196 @@
+// built-in strategies used to defer the flush of the job queue.
+// Each one is a function that takes a callback and calls it asynchronously,
+// or null if the current runtime does not support it
+export const SCHEDULERS = {
+    // the best choice: a real microtask, like native Promises
+    queueMicrotask: typeof queueMicrotask === "function"
+        ? cb => queueMicrotask(cb)
+        : null,
+
+    // Node.js has its own queue, which is drained before the microtask one
+    nextTick: typeof process === "object" && process !== null && typeof process.nextTick === "function"
+        ? cb => process.nextTick(cb)
+        : null,
+
+    // older browsers: mutation observers callbacks are microtasks too
+    mutationObserver: typeof MutationObserver === "function" && typeof document === "object" && document !== null
+        ? createMutationObserverScheduler()
+        : null,
+
+    // last resort: a macrotask, clamped to >= 1ms by browsers
+    setTimeout: cb => setTimeout(cb, 0),
+};
+
+function createMutationObserverScheduler() {
+    // callbacks waiting for the next mutation
+    let callbacks = [];
+    let toggle = 0;
+
+    const node = document.createTextNode("");
+    new MutationObserver(() => {
+        const toBeCalled = callbacks;
+        callbacks = [];
+        toBeCalled.forEach(cb => cb());
+    }).observe(node, { characterData: true });
+
+    return cb => {
+        callbacks.push(cb);
+        // each change of the data triggers the observer
+        node.data = String(toggle ^= 1);
+    };
+}
+
+// the first available built-in strategy is the default one
+const defaultScheduler = SCHEDULERS.queueMicrotask
+    || SCHEDULERS.nextTick
+    || SCHEDULERS.mutationObserver
+    || SCHEDULERS.setTimeout;
+
+let scheduler = defaultScheduler;
+
+// the single job queue: reactions are pushed here instead of
+// having a timer each, and they are drained in batches.
+// Each job takes two slots, the function and its argument,
+// so that no object has to be allocated
+const jobs = [];
+// index of the next job to be run
+let head = 0;
+// the flush of the queue requested to the scheduler, if any.
+// Each request gets its own function: once the scheduler is changed,
+// the flush requested to the previous one is stale and does nothing
+let requestedFlush = null;
+
+// after how many slots of run jobs the queue should be compacted
+const COMPACTION_THRESHOLD = 2048;
+
+// callbacks waiting for the job queue to be completely drained
+let drainCallbacks = [];
+
+// rethrow an error asynchronously, so that a failing job or callback
+// does not prevent the others from running
+export function rethrow(e) {
+    setTimeout(() => { throw e; }, 0);
+}
+
+// run the queued jobs, jobs enqueued while running included
+function runJobs() {
+    while (head < jobs.length) {
+        const fn = jobs[head];
+        const arg = jobs[head + 1];
+        // release the references as soon as possible
+        jobs[head] = void 0;
+        jobs[head + 1] = void 0;
+        head += 2;
+
+        try {
+            fn(arg);
+        } catch (e) {
+            rethrow(e);
+        }
+
+        // do not let an ever growing queue keep old slots around,
+        // but compact it only when most of it was run, so that
+        // a long queue is not copied over and over
+        if (head > COMPACTION_THRESHOLD && head * 2 > jobs.length) {
+            jobs.splice(0, head);
+            head = 0;
+        }
+    }
+
+    jobs.length = 0;
+    head = 0;
+}
+
+// drain the whole queue, then notify who was waiting for it.
+// Those callbacks could enqueue other jobs, so we keep going
+// until there is nothing left to do
+function flush() {
+    do {
+        runJobs();
+
+        const toBeCalled = drainCallbacks;
+        drainCallbacks = [];
+        toBeCalled.forEach(cb => {
+            try {
+                cb();
+            } catch (e) {
+                rethrow(e);
+            }
+        });
+    } while (jobs.length || drainCallbacks.length);
+}
+
+// ask the scheduler for a flush, if one was not already requested
+function requestFlush() {
+    // only one flush at a time is needed, it will drain the whole queue
+    if (requestedFlush !== null) {
+        return;
+    }
+
+    const scheduledFlush = () => {
+        if (requestedFlush === scheduledFlush) {
+            flush();
+            // the scheduler could have been changed while flushing
+            if (requestedFlush === scheduledFlush) {
+                requestedFlush = null;
+            }
+        }
+    };
+    requestedFlush = scheduledFlush;
+
+    try {
+        scheduler(scheduledFlush);
+    } catch (e) {
+        // a failing scheduler must not leave the queue stuck:
+        // the error is reported, and the flush is requested to the default one
+        requestedFlush = null;
+        rethrow(e);
+        if (scheduler !== defaultScheduler) {
+            requestedFlush = scheduledFlush;
+            defaultScheduler(scheduledFlush);
+        }
+    }
+}
+
+// enqueue a job that will call fn(arg) asynchronously
+export function enqueue(fn, arg) {
+    jobs.push(fn, arg);
+    requestFlush();
+}
+
+// call cb once the job queue has been completely drained
+export function onceDrained(cb) {
+    drainCallbacks.push(cb);
+    requestFlush();
+}
+
+// change the strategy used to defer the flush of the job queue.
+// A built-in strategy can be chosen by its name, null restores the default one
+export function setScheduler(newScheduler) {
+    if (newScheduler === null) {
+        newScheduler = defaultScheduler;
+    }
+
+    if (typeof newScheduler === "string") {
+        if (!SCHEDULERS.hasOwnProperty(newScheduler)) {
+            throw new TypeError(`Unknown scheduler '${newScheduler}'`);
+        }
+        if (SCHEDULERS[newScheduler] === null) {
+            throw new TypeError(`The scheduler '${newScheduler}' is not supported by the current environment`);
+        }
+        newScheduler = SCHEDULERS[newScheduler];
+    }
+
+    if (typeof newScheduler !== "function") {
+        throw new TypeError(`The scheduler must be a function or the name of a built-in one`);
+    }
+
+    scheduler = newScheduler;
+
+    // a flush requested to the previous scheduler could never come:
+    // it's requested to the new one instead
+    if (requestedFlush !== null) {
+        requestedFlush = null;
+        requestFlush();
+    }
+}
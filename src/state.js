@@ -4,20 +4,28 @@ export const STATES = {
     REJECTED: 'REJECTED',
 }
 
+// internal slots of a Promyse.
+// They are updated in place when the Promyse is settled,
+// so that no other object has to be allocated
 export default class State {
-    constructor(state = STATES.PENDING, value = void 0, settled = false) {
-        Object.assign(this, { _state: state, _value: value, _settled: settled });
-    }
+    constructor() {
+        this.state = STATES.PENDING;
+        this.value = void 0;
 
-    get value() {
-        return this._value;
-    }
+        // reactions waiting for the Promyse to be settled.
+        // Most Promyses have at most one, so the first one is stored inline
+        // and an Observers collection is allocated only for the others
+        this.observer = null;
+        this.observers = null;
 
-    get state() {
-        return this._state;
+        // stops listening to the signal the Promyse was created with, if any
+        this.unsubscribe = null;
+
+        // handlers registered with progress, allocated on the first one
+        this.progressHandlers = null;
     }
 
     get settled() {
-        return this._settled;
+        return this.state !== STATES.PENDING;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,166 @@
+// the promyse/testing entry point: virtual time for the tests.
+// It's built on its own, and it drives the main bundle only through
+// its public API: Promyse.setScheduler and Promyse.setClock
+import assert from 'assert';
+import { Promyse } from './index.js';
+
+// how many timers runAll fires before giving up
+const RUN_ALL_LIMIT = 10000;
+
+// take control of the time of Promyse: its reactions are run only
+// by flushMicrotasks, and its timers fire only when the virtual clock
+// is moved forward. The reactions already queued are taken over too.
+// Native Promises and timers are not affected.
+// Returns the controller of the virtual time
+export function install() {
+    // the flushes of the job queue requested by Promyse
+    let flushes = [];
+
+    // the virtual clock
+    let time = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    const clock = {
+        now: () => time,
+        setTimeout(cb, ms) {
+            const id = nextId++;
+            timers.set(id, { cb, at: time + ms, id });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+    };
+
+    // the first timer to fire, the oldest one among the ones due at the same time
+    function nextTimer(until) {
+        let next = null;
+        timers.forEach(timer => {
+            if (timer.at <= until && (next === null || timer.at < next.at)) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    function fire(timer) {
+        timers.delete(timer.id);
+        time = Math.max(time, timer.at);
+        timer.cb();
+        flushMicrotasks();
+    }
+
+    // run every Promyse reaction, the ones queued while running included
+    function flushMicrotasks() {
+        while (flushes.length > 0) {
+            const toBeCalled = flushes;
+            flushes = [];
+            toBeCalled.forEach(flush => flush());
+        }
+    }
+
+    // move the virtual time forward by ms milliseconds, firing the timers
+    // that expire in order, and running the reactions after each of them
+    function advanceBy(ms) {
+        if (typeof ms !== "number" || Number.isNaN(ms) || ms < 0) {
+            throw new TypeError(`The milliseconds must be a non-negative number`);
+        }
+
+        const target = time + ms;
+        flushMicrotasks();
+        for (let timer = nextTimer(target); timer !== null; timer = nextTimer(target)) {
+            fire(timer);
+        }
+        time = target;
+    }
+
+    // run the reactions and fire every timer, the ones set meanwhile included,
+    // until nothing is left to do
+    function runAll() {
+        flushMicrotasks();
+        for (let fired = 0; timers.size > 0; fired++) {
+            if (fired === RUN_ALL_LIMIT) {
+                throw new Error(`Fired ${RUN_ALL_LIMIT} timers without running out of them: is there a timer loop?`);
+            }
+            fire(nextTimer(Infinity));
+        }
+    }
+
+    // give the time back to the real scheduler and clock.
+    // The reactions still queued are run, the pending timers are dropped
+    function uninstall() {
+        flushMicrotasks();
+        timers.clear();
+        Promyse.setScheduler(null);
+        Promyse.setClock(null);
+    }
+
+    Promyse.setScheduler(flush => flushes.push(flush));
+    Promyse.setClock(clock);
+
+    return {
+        now: () => time,
+        // number of timers not yet fired nor cleared
+        get pendingTimers() {
+            return timers.size;
+        },
+        flushMicrotasks,
+        advanceBy,
+        runAll,
+        uninstall,
+    };
+}
+
+function checkPromyse(promyse) {
+    if (!(promyse instanceof Promyse)) {
+        throw new TypeError(`${String(promyse)} is not a Promyse`);
+    }
+}
+
+// assert that a Promyse is fulfilled right now, with a value deeply equal
+// to the expected one if given. Returns the value
+export function expectFulfilled(promyse, ...expected) {
+    checkPromyse(promyse);
+    assert.ok(promyse.isFulfilled(), `Expected a fulfilled Promyse, got a ${describe(promyse)} one`);
+
+    const value = promyse.value();
+    if (expected.length > 0) {
+        assert.deepStrictEqual(value, expected[0]);
+    }
+    return value;
+}
+
+// assert that a Promyse is rejected right now. The reason is checked against
+// the expected one if given: an Error class, a predicate or a value deeply equal to it.
+// The rejection counts as handled. Returns the reason
+export function expectRejected(promyse, ...expected) {
+    checkPromyse(promyse);
+    assert.ok(promyse.isRejected(), `Expected a rejected Promyse, got a ${describe(promyse)} one`);
+
+    // the test took care of the rejection
+    promyse.catch(() => { });
+
+    const reason = promyse.reason();
+    if (expected.length > 0) {
+        const [check] = expected;
+        if (check === Error || (typeof check === "function" && check.prototype instanceof Error)) {
+            assert.ok(reason instanceof check, `Expected the reason to be an instance of ${check.name}`);
+        } else if (typeof check === "function") {
+            assert.ok(check(reason), `The reason does not satisfy the predicate`);
+        } else {
+            assert.deepStrictEqual(reason, check);
+        }
+    }
+    return reason;
+}
+
+// assert that a Promyse is still pending
+export function expectPending(promyse) {
+    checkPromyse(promyse);
+    assert.ok(promyse.isPending(), `Expected a pending Promyse, got a ${describe(promyse)} one`);
+}
+
+function describe(promyse) {
+    return Promyse.inspect(promyse).status;
+}
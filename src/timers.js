@@ -0,0 +1,86 @@
+import { now, setTimer } from './clock.js';
+import { subscribe } from './cancellation.js';
+import { TimeoutError } from './errors.js';
+
+// milliseconds must be a non-negative number
+export function checkMs(ms) {
+    if (typeof ms !== "number" || Number.isNaN(ms) || ms < 0) {
+        throw new TypeError(`The milliseconds must be a non-negative number`);
+    }
+}
+
+// the date must be a valid Date or a timestamp
+function msUntil(date) {
+    const time = date instanceof Date ? date.getTime() : date;
+    if (typeof time !== "number" || Number.isNaN(time)) {
+        throw new TypeError(`The deadline must be a Date or a timestamp`);
+    }
+    return Math.max(0, time - now());
+}
+
+// the rejection reason of a timeout: the provided error if any,
+// a TimeoutError with the provided message otherwise
+function timeoutReason({ message, error } = {}, defaultMessage) {
+    return error !== undefined
+        ? error
+        : new TimeoutError(message !== undefined ? message : defaultMessage);
+}
+
+// a Promyse, built by C, resolved with value after ms milliseconds.
+// Aborting the signal clears the timer
+export function delay(C, ms, value, signal) {
+    checkMs(ms);
+
+    return new C(resolve => {
+        let clearTimer = null;
+        const unsubscribe = subscribe(signal, () => clearTimer());
+        clearTimer = setTimer(() => {
+            unsubscribe();
+            resolve(value);
+        }, ms);
+    }, signal);
+}
+
+// a Promyse, built by C, that settles like promyse or
+// rejects if promyse does not settle within ms milliseconds.
+// The timer is cleared as soon as promyse settles
+export function timeout(C, promyse, ms, options) {
+    // a Date is a deadline
+    if (ms instanceof Date) {
+        ms = msUntil(ms);
+    }
+    checkMs(ms);
+
+    return new C((resolve, reject) => {
+        const clearTimer = setTimer(
+            () => reject(timeoutReason(options, `The operation timed out after ${ms}ms`)),
+            ms
+        );
+
+        promyse.then(
+            value => {
+                clearTimer();
+                resolve(value);
+            },
+            reason => {
+                clearTimer();
+                reject(reason);
+            }
+        );
+    });
+}
+
+// a Promyse, built by C, that rejects when the date is reached.
+// Aborting the signal clears the timer
+export function deadline(C, date, options = {}) {
+    const ms = msUntil(date);
+
+    return new C((resolve, reject) => {
+        let clearTimer = null;
+        const unsubscribe = subscribe(options.signal, () => clearTimer());
+        clearTimer = setTimer(() => {
+            unsubscribe();
+            reject(timeoutReason(options, `The deadline was reached`));
+        }, ms);
+    }, options.signal);
+}
@@ -0,0 +1,74 @@
+import { config } from './config.js';
+
+// private map to store the creation sites of each Promyse,
+// its own first, then the ones of the Promyses it was derived from
+const instancesTraces = new WeakMap();
+
+// errors whose stack was already stitched, because
+// the same reason is propagated along the whole chain
+const stitchedErrors = new WeakSet();
+
+const SEPARATOR = "\nFrom previous event:";
+
+// the file of the library itself: its frames are just noise
+const LIBRARY_FILE = fileOfFrame(frameLinesOf(new Error().stack)[0]);
+
+// the "    at ..." lines of a stack
+function frameLinesOf(stack) {
+    return typeof stack === "string"
+        ? stack.split("\n").filter(line => /^\s+at /.test(line))
+        : [];
+}
+
+// the file a stack frame points to
+function fileOfFrame(frame) {
+    const match = /\(?([^\s()]+):\d+:\d+\)?$/.exec(frame || "");
+    return match ? match[1] : null;
+}
+
+// record where a Promyse was created.
+// Errors are created only here, their stacks are formatted lazily
+export function captureTrace(promyse) {
+    if (!config.longStackTraces) {
+        return;
+    }
+
+    instancesTraces.set(promyse, [new Error()]);
+}
+
+// a Promyse created by then of another one
+// inherits the creation sites of the latter, up to the configured depth
+export function inheritTrace(promyse, parent) {
+    const sites = instancesTraces.get(promyse);
+    const parentSites = instancesTraces.get(parent);
+
+    if (sites && parentSites) {
+        instancesTraces.set(
+            promyse,
+            sites.concat(parentSites).slice(0, config.longStackTracesDepth)
+        );
+    }
+}
+
+// add the creation sites of a Promyse to the stack of its rejection reason,
+// only if it is an Error that was not already handled
+export function stitchTrace(promyse, reason) {
+    const sites = instancesTraces.get(promyse);
+
+    if (!sites || !(reason instanceof Error) || stitchedErrors.has(reason)) {
+        return;
+    }
+    stitchedErrors.add(reason);
+
+    const stitched = sites
+        .map(site => frameLinesOf(site.stack).filter(frame => fileOfFrame(frame) !== LIBRARY_FILE))
+        .filter(frames => frames.length)
+        .map(frames => SEPARATOR + "\n" + frames.join("\n"))
+        .join("");
+
+    try {
+        reason.stack = String(reason.stack) + stitched;
+    } catch (e) {
+        // the stack of frozen errors cannot be changed, never mind
+    }
+}
@@ -0,0 +1,42 @@
+import { rethrow } from './scheduler.js';
+
+// callbacks waiting for Promyses to be settled, for the internals
+// that only need to know their outcome: unlike a reaction,
+// watching a Promyse does not count as handling its rejection
+const watchersMap = new WeakMap();
+
+// how many Promyses are watched. settle checks it first,
+// so that nothing else is done while none is.
+// A watched Promyse that is never settled keeps it above 0
+export const watched = { count: 0 };
+
+// call callback(rejected, value) synchronously, as soon as
+// the pending Promyse is settled
+export function watch(promyse, callback) {
+    const callbacks = watchersMap.get(promyse);
+    if (callbacks === undefined) {
+        watchersMap.set(promyse, [callback]);
+        watched.count++;
+    } else {
+        callbacks.push(callback);
+    }
+}
+
+// a Promyse was settled: its watchers are called and forgotten.
+// A watcher that throws cannot break the settlement
+export function notifyWatchers(promyse, rejected, value) {
+    const callbacks = watchersMap.get(promyse);
+    if (callbacks === undefined) {
+        return;
+    }
+
+    watchersMap.delete(promyse);
+    watched.count--;
+    callbacks.forEach(callback => {
+        try {
+            callback(rejected, value);
+        } catch (e) {
+            rethrow(e);
+        }
+    });
+}
@@ -0,0 +1,96 @@
+// 27.2.4 Properties of the Promise Constructor: all, allSettled, any and race
+
+var assert = require("assert");
+var { fulfillsWith, rejectsWith } = require("../helpers.js");
+
+function delayed(Promyse, ms, value, rejected) {
+    return new Promyse(function (resolve, reject) {
+        setTimeout(rejected ? reject : resolve, ms, value);
+    });
+}
+
+module.exports = function (spec, Promyse) {
+
+    spec("27.2.4.1 Promise.all step 5", "rejects with a TypeError when the argument is not iterable", function () {
+        return rejectsWith(Promyse.all(42), TypeError);
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll", "fulfills with the values in input order", function () {
+        return Promyse.all([delayed(Promyse, 10, "a"), "b", Promyse.resolve("c")]).then(function (values) {
+            assert.deepStrictEqual(values, ["a", "b", "c"]);
+        });
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll", "waits for every element, even when the last one settles first", function () {
+        return Promyse.all([delayed(Promyse, 10, "a"), "b"]).then(function (values) {
+            assert.deepStrictEqual(values, ["a", "b"]);
+        });
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll step 8", "fulfills with an empty array on an empty iterable", function () {
+        return Promyse.all([]).then(function (values) {
+            assert.deepStrictEqual(values, []);
+        });
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll", "rejects with the first rejection reason", function () {
+        return rejectsWith(Promyse.all([delayed(Promyse, 10, "late", true), delayed(Promyse, 1, "early", true)]), "early");
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll step 6.i", "calls the resolve method of the constructor for each element", function () {
+        var calls = 0;
+        class SubPromyse extends Promyse {
+            static resolve(value) {
+                calls++;
+                return super.resolve(value);
+            }
+        }
+        return SubPromyse.all([1, 2]).then(function () {
+            assert.strictEqual(calls, 2);
+        });
+    });
+
+    spec("27.2.4.2.1 PerformPromiseAllSettled", "fulfills with status records in input order", function () {
+        return Promyse.allSettled([delayed(Promyse, 5, 1), Promyse.reject(2)]).then(function (results) {
+            assert.deepStrictEqual(results, [
+                { status: "fulfilled", value: 1 },
+                { status: "rejected", reason: 2 },
+            ]);
+        });
+    });
+
+    spec("27.2.4.3.1 PerformPromiseAny", "fulfills with the first fulfilled value", function () {
+        return fulfillsWith(Promyse.any([Promyse.reject(1), delayed(Promyse, 5, 2)]), 2);
+    });
+
+    spec("27.2.4.3.1 PerformPromiseAny step 8", "rejects with an AggregateError on an empty iterable", function () {
+        return rejectsWith(Promyse.any([]), function (error) {
+            assert.strictEqual(error.name, "AggregateError");
+            assert.deepStrictEqual(error.errors, []);
+        });
+    });
+
+    spec("27.2.4.3.1 PerformPromiseAny", "rejects with an AggregateError of the reasons in input order", function () {
+        return rejectsWith(Promyse.any([delayed(Promyse, 5, 1, true), Promyse.reject(2)]), function (error) {
+            assert.strictEqual(error.name, "AggregateError");
+            assert.deepStrictEqual(error.errors, [1, 2]);
+        });
+    });
+
+    spec("27.2.4.5.1 PerformPromiseRace", "settles like the first settled element", function () {
+        return rejectsWith(Promyse.race([delayed(Promyse, 10, 1), delayed(Promyse, 1, 2, true)]), 2);
+    });
+
+    spec("27.2.4.5.1 PerformPromiseRace", "stays pending on an empty iterable", function () {
+        var settled = false;
+        Promyse.race([]).then(function () { settled = true; }, function () { settled = true; });
+        return delayed(Promise, 10).then(function () {
+            assert.strictEqual(settled, false);
+        });
+    });
+
+    spec("27.2.4.5 Promise.race step 2", "uses the this value as constructor", function () {
+        class SubPromyse extends Promyse { }
+        assert.ok(SubPromyse.race([1]) instanceof SubPromyse);
+    });
+};
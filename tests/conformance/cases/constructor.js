@@ -0,0 +1,102 @@
+// 27.2.3 The Promise Constructor
+// 27.2.1.3 CreateResolvingFunctions
+
+var assert = require("assert");
+var { fulfillsWith, rejectsWith } = require("../helpers.js");
+
+module.exports = function (spec, Promyse) {
+
+    spec("27.2.3.1 Promise ( executor ) step 1", "throws a TypeError when called without new", function () {
+        assert.throws(function () { Promyse(function () { }); }, TypeError);
+    });
+
+    spec("27.2.3.1 Promise ( executor ) step 2", "throws a TypeError when the executor is not callable", function () {
+        [undefined, null, 1, "executor", {}].forEach(function (executor) {
+            assert.throws(function () { new Promyse(executor); }, TypeError);
+        });
+    });
+
+    spec("27.2.3.1 Promise ( executor ) step 9", "calls the executor synchronously with two functions", function () {
+        var args = null;
+        new Promyse(function () { args = arguments; });
+        assert.strictEqual(args.length, 2);
+        assert.strictEqual(typeof args[0], "function");
+        assert.strictEqual(typeof args[1], "function");
+    });
+
+    spec("27.2.3.1 Promise ( executor ) step 10", "rejects when the executor throws", function () {
+        var error = new Error("thrown");
+        return rejectsWith(new Promyse(function () { throw error; }), error);
+    });
+
+    spec("27.2.3.1 Promise ( executor ) step 10", "ignores a throw after the executor has resolved", function () {
+        return fulfillsWith(new Promyse(function (resolve) { resolve(1); throw new Error("ignored"); }), 1);
+    });
+
+    spec("27.2.1.3 CreateResolvingFunctions", "only the first call of resolve or reject counts", function () {
+        return fulfillsWith(new Promyse(function (resolve, reject) {
+            resolve(1);
+            resolve(2);
+            reject(3);
+        }), 1);
+    });
+
+    spec("27.2.1.3 CreateResolvingFunctions", "resolving with a pending thenable locks in the Promyse", function () {
+        var thenable = { then: function (resolve) { setTimeout(function () { resolve("adopted"); }, 0); } };
+        return fulfillsWith(new Promyse(function (resolve, reject) {
+            resolve(thenable);
+            reject(new Error("ignored"));
+        }), "adopted");
+    });
+
+    spec("27.2.1.3.2 Promise Resolve Functions step 7", "resolving with itself rejects with a TypeError", function () {
+        var resolveFn = null;
+        var promyse = new Promyse(function (resolve) { resolveFn = resolve; });
+        resolveFn(promyse);
+        return rejectsWith(promyse, TypeError);
+    });
+
+    spec("27.2.1.3.2 Promise Resolve Functions step 8", "resolving with a non-object fulfills", function () {
+        return fulfillsWith(new Promyse(function (resolve) { resolve(42); }), 42);
+    });
+
+    spec("27.2.1.3.2 Promise Resolve Functions step 10", "rejects when getting then throws", function () {
+        var error = new Error("getter");
+        var thenable = { get then() { throw error; } };
+        return rejectsWith(new Promyse(function (resolve) { resolve(thenable); }), error);
+    });
+
+    spec("27.2.1.3.2 Promise Resolve Functions step 12", "resolving with a non-callable then fulfills with the object", function () {
+        var obj = { then: 42 };
+        return fulfillsWith(new Promyse(function (resolve) { resolve(obj); }), obj);
+    });
+
+    spec("27.2.1.3.2 Promise Resolve Functions step 13", "adopts the state of a thenable", function () {
+        var thenable = { then: function (resolve) { resolve("adopted"); } };
+        return fulfillsWith(new Promyse(function (resolve) { resolve(thenable); }), "adopted");
+    });
+
+    spec("27.2.1.3.1 Promise Reject Functions", "rejecting with a thenable does not unwrap it", function () {
+        var thenable = { then: function (resolve) { resolve("unwrapped"); } };
+        return rejectsWith(new Promyse(function (_, reject) { reject(thenable); }), thenable);
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "calls the then of a thenable with the thenable as this", function () {
+        var receiver = null;
+        var thenable = { then: function (resolve) { receiver = this; resolve(); } };
+        return new Promyse(function (resolve) { resolve(thenable); }).then(function () {
+            assert.strictEqual(receiver, thenable);
+        });
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "rejects when the then of a thenable throws before settling", function () {
+        var error = new Error("then");
+        var thenable = { then: function () { throw error; } };
+        return rejectsWith(new Promyse(function (resolve) { resolve(thenable); }), error);
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "ignores a throw of the then of a thenable after settling", function () {
+        var thenable = { then: function (resolve) { resolve(1); throw new Error("ignored"); } };
+        return fulfillsWith(new Promyse(function (resolve) { resolve(thenable); }), 1);
+    });
+};
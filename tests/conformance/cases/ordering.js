@@ -0,0 +1,78 @@
+// 27.2.2 Promise Jobs: the order in which reactions run,
+// compared with the one of the native Promise
+
+var { sameOrderAsNative } = require("../helpers.js");
+
+module.exports = function (spec, Promyse) {
+
+    spec("27.2.5.4.1 PerformPromiseThen step 12", "reactions of the same Promyse run in registration order", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            var p = P.resolve();
+            p.then(function () { log("a"); });
+            p.then(function () { log("b"); });
+            p.then(function () { log("c"); });
+        });
+    });
+
+    spec("27.2.1.4 FulfillPromise step 7", "reactions registered before fulfillment run in registration order", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            var resolveFn = null;
+            var p = new P(function (resolve) { resolveFn = resolve; });
+            p.then(function () { log("a"); });
+            p.then(function () { log("b"); });
+            resolveFn();
+            log("sync");
+        });
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "independent chains interleave one step at a time", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.resolve().then(function () { log("a1"); }).then(function () { log("a2"); }).then(function () { log("a3"); });
+            P.resolve().then(function () { log("b1"); }).then(function () { log("b2"); }).then(function () { log("b3"); });
+        });
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "rejections propagate one step at a time", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.reject().then(function () { log("skipped"); }).catch(function () { log("a"); });
+            P.resolve().then(function () { log("b1"); }).then(function () { log("b2"); });
+        });
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "the then of a thenable is called in a later job", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            new P(function (resolve) {
+                resolve({ then: function (resolve) { log("then"); resolve(); } });
+            });
+            log("sync");
+        });
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "adopting a Promyse takes two extra jobs", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.resolve().then(function () { log(1); }).then(function () { log(2); }).then(function () { log(3); }).then(function () { log(4); });
+            new P(function (resolve) { resolve(P.resolve()); }).then(function () { log("adopted"); });
+        });
+    });
+
+    spec("27.2.2.2 NewPromiseResolveThenableJob", "returning a Promyse from a handler takes two extra jobs", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.resolve().then(function () { log(1); }).then(function () { log(2); }).then(function () { log(3); }).then(function () { log(4); });
+            P.resolve().then(function () { return P.resolve(); }).then(function () { log("returned"); });
+        });
+    });
+
+    spec("27.2.4.1.2 PerformPromiseAll", "fulfills after the reactions of its elements", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.all([P.resolve(1), 2]).then(function () { log("all"); });
+            P.resolve().then(function () { log(1); }).then(function () { log(2); }).then(function () { log(3); });
+        });
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally", "fulfills after the same number of jobs", function () {
+        return sameOrderAsNative(Promyse, function (P, log) {
+            P.resolve().finally(function () { log("finally"); }).then(function () { log("after"); });
+            P.resolve().then(function () { log(1); }).then(function () { log(2); }).then(function () { log(3); }).then(function () { log(4); });
+        });
+    });
+};
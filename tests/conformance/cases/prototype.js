@@ -0,0 +1,115 @@
+// 27.2.5 Properties of the Promise Prototype Object
+
+var assert = require("assert");
+var { fulfillsWith, rejectsWith } = require("../helpers.js");
+
+module.exports = function (spec, Promyse) {
+
+    spec("27.2.5.4 Promise.prototype.then step 5", "returns a new Promyse", function () {
+        var promyse = Promyse.resolve(1);
+        var derived = promyse.then();
+        assert.ok(derived instanceof Promyse);
+        assert.notStrictEqual(derived, promyse);
+    });
+
+    spec("27.2.5.4 Promise.prototype.then step 3", "uses the species constructor of the Promyse", function () {
+        class SubPromyse extends Promyse { }
+        assert.ok(SubPromyse.resolve(1).then() instanceof SubPromyse);
+    });
+
+    spec("27.2.4.8 get Promise [ @@species ]", "returns the this value", function () {
+        var descriptor = Object.getOwnPropertyDescriptor(Promyse, Symbol.species);
+        assert.ok(descriptor && typeof descriptor.get === "function");
+        assert.strictEqual(Promyse[Symbol.species], Promyse);
+    });
+
+    spec("27.2.5.4.1 PerformPromiseThen step 3", "a non-callable onFulfilled passes the value through", function () {
+        return fulfillsWith(Promyse.resolve(1).then(null).then(undefined, null), 1);
+    });
+
+    spec("27.2.5.4.1 PerformPromiseThen step 4", "a non-callable onRejected passes the reason through", function () {
+        return rejectsWith(Promyse.reject(1).then(null, 42), 1);
+    });
+
+    spec("27.2.5.4.1 PerformPromiseThen step 9", "reactions are never called synchronously", function () {
+        var called = false;
+        Promyse.resolve(1).then(function () { called = true; });
+        assert.strictEqual(called, false);
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "handlers are called with undefined as this", function () {
+        var receiver = {};
+        return Promyse.resolve(1).then(function () { "use strict"; receiver = this; }).then(function () {
+            assert.strictEqual(receiver, undefined);
+        });
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "handlers are called with exactly one argument", function () {
+        var argsLength = 0;
+        return Promyse.resolve(1).then(function () { argsLength = arguments.length; }).then(function () {
+            assert.strictEqual(argsLength, 1);
+        });
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "a throwing handler rejects the derived Promyse", function () {
+        var error = new Error("handler");
+        return rejectsWith(Promyse.resolve(1).then(function () { throw error; }), error);
+    });
+
+    spec("27.2.2.1 NewPromiseReactionJob", "returning the derived Promyse itself rejects it with a TypeError", function () {
+        var derived = Promyse.resolve(1).then(function () { return derived; });
+        return rejectsWith(derived, TypeError);
+    });
+
+    spec("27.2.5.1 Promise.prototype.catch", "invokes the then method of the this value", function () {
+        var args = null;
+        var thenable = { then: function () { args = arguments; return "result"; } };
+        function onRejected() { }
+        assert.strictEqual(Promyse.prototype.catch.call(thenable, onRejected), "result");
+        assert.strictEqual(args[0], undefined);
+        assert.strictEqual(args[1], onRejected);
+    });
+
+    spec("27.2.5.1 Promise.prototype.catch", "recovers from a rejection", function () {
+        return fulfillsWith(Promyse.reject(1).catch(function (reason) { return reason + 1; }), 2);
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 5", "a non-callable onFinally passes the value through", function () {
+        return fulfillsWith(Promyse.resolve(1).finally(42), 1);
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "onFinally is called without arguments", function () {
+        var argsLength = -1;
+        return Promyse.resolve(1).finally(function () { argsLength = arguments.length; }).then(function () {
+            assert.strictEqual(argsLength, 0);
+        });
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "the fulfillment value survives onFinally", function () {
+        return fulfillsWith(Promyse.resolve(1).finally(function () { return 2; }), 1);
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "the rejection reason survives onFinally", function () {
+        return rejectsWith(Promyse.reject(1).finally(function () { return 2; }), 1);
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "waits for the thenable returned by onFinally", function () {
+        var done = false;
+        return Promyse.resolve(1).finally(function () {
+            return new Promyse(function (resolve) {
+                setTimeout(function () { done = true; resolve(); }, 5);
+            });
+        }).then(function (value) {
+            assert.strictEqual(done, true);
+            assert.strictEqual(value, 1);
+        });
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "a rejection from onFinally overrides the value", function () {
+        return rejectsWith(Promyse.resolve(1).finally(function () { return Promyse.reject(2); }), 2);
+    });
+
+    spec("27.2.5.3 Promise.prototype.finally step 6", "a throw from onFinally overrides the reason", function () {
+        return rejectsWith(Promyse.reject(1).finally(function () { throw 2; }), 2);
+    });
+};
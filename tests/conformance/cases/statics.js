@@ -0,0 +1,54 @@
+// 27.2.4 Properties of the Promise Constructor: resolve and reject
+
+var assert = require("assert");
+var { fulfillsWith, rejectsWith } = require("../helpers.js");
+
+module.exports = function (spec, Promyse) {
+
+    spec("27.2.4.7 Promise.resolve step 3", "returns the argument when it is a Promyse of the same constructor", function () {
+        var promyse = Promyse.resolve(1);
+        assert.strictEqual(Promyse.resolve(promyse), promyse);
+    });
+
+    spec("27.2.4.7.1 PromiseResolve step 1", "wraps a Promyse whose constructor property differs", function () {
+        var promyse = Promyse.resolve(1);
+        promyse.constructor = function () { };
+        assert.notStrictEqual(Promyse.resolve(promyse), promyse);
+    });
+
+    spec("27.2.4.7 Promise.resolve", "adopts the state of a thenable", function () {
+        return fulfillsWith(Promyse.resolve({ then: function (resolve) { resolve(3); } }), 3);
+    });
+
+    spec("27.2.4.7 Promise.resolve", "fulfills with a non-thenable value", function () {
+        return fulfillsWith(Promyse.resolve("value"), "value");
+    });
+
+    spec("27.2.4.7 Promise.resolve step 2", "throws a TypeError when this is not an object", function () {
+        assert.throws(function () { Promyse.resolve.call(undefined, 1); }, TypeError);
+    });
+
+    spec("27.2.4.7.1 PromiseResolve step 2", "uses the this value as constructor", function () {
+        class SubPromyse extends Promyse { }
+        assert.ok(SubPromyse.resolve(1) instanceof SubPromyse);
+    });
+
+    spec("27.2.4.6 Promise.reject", "rejects with the given reason", function () {
+        var error = new Error("reason");
+        return rejectsWith(Promyse.reject(error), error);
+    });
+
+    spec("27.2.4.6 Promise.reject step 3", "always returns a new Promyse, even for a Promyse argument", function () {
+        var fulfilled = Promyse.resolve(1);
+        var rejected = Promyse.reject(fulfilled);
+        assert.notStrictEqual(rejected, fulfilled);
+        return rejectsWith(rejected, fulfilled);
+    });
+
+    spec("27.2.4.6 Promise.reject step 2", "uses the this value as constructor", function () {
+        class SubPromyse extends Promyse { }
+        var rejected = SubPromyse.reject(1);
+        rejected.catch(function () { });
+        assert.ok(rejected instanceof SubPromyse);
+    });
+};
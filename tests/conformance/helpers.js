@@ -0,0 +1,47 @@
+// Helpers shared by the conformance cases
+
+var assert = require("assert");
+
+// wait until every job queued by the scenarios has been run
+function settle() {
+    return new Promise(function (resolve) { setTimeout(resolve, 20); });
+}
+
+// run the same scenario with the native Promise and with Promyse,
+// then compare the sequences of events logged by the two runs
+module.exports.sameOrderAsNative = function sameOrderAsNative(Promyse, scenario) {
+    var nativeLog = [];
+    var promyseLog = [];
+
+    scenario(Promise, function (event) { nativeLog.push(event); });
+    scenario(Promyse, function (event) { promyseLog.push(event); });
+
+    return settle().then(function () {
+        assert.deepStrictEqual(promyseLog, nativeLog);
+    });
+};
+
+// assert that a Promyse fulfills with the expected value
+module.exports.fulfillsWith = function fulfillsWith(promyse, expected) {
+    return promyse.then(
+        function (value) { assert.strictEqual(value, expected); },
+        function (reason) { assert.fail("Rejected with " + reason + " instead of fulfilling"); }
+    );
+};
+
+// assert that a Promyse rejects, checking the reason against
+// an error class, with a check function or against the expected value
+module.exports.rejectsWith = function rejectsWith(promyse, expected) {
+    return promyse.then(
+        function (value) { assert.fail("Fulfilled with " + value + " instead of rejecting"); },
+        function (reason) {
+            if (expected === Error || (typeof expected === "function" && expected.prototype instanceof Error)) {
+                assert.ok(reason instanceof expected, reason + " is not an instance of " + expected.name);
+            } else if (typeof expected === "function") {
+                expected(reason);
+            } else {
+                assert.strictEqual(reason, expected);
+            }
+        }
+    );
+};
@@ -0,0 +1,15 @@
+// Conformance cases that Promyse is known to fail, as "<spec step>: <title>".
+// Remove a case from here as soon as it passes
+module.exports = [
+    // the executor gets the notify function of the progress notifications as third argument
+    "27.2.3.1 Promise ( executor ) step 9: calls the executor synchronously with two functions",
+
+    // the combinators throw synchronously instead of rejecting
+    "27.2.4.1 Promise.all step 5: rejects with a TypeError when the argument is not iterable",
+
+    // catch calls then with null instead of undefined
+    "27.2.5.1 Promise.prototype.catch: invokes the then method of the this value",
+
+    // finally does not wrap the result of onfinally when it's not a thenable
+    "27.2.5.3 Promise.prototype.finally: fulfills after the same number of jobs",
+];
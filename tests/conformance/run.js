@@ -0,0 +1,106 @@
+// Runner of the ECMAScript conformance suite: a curated port of the test262
+// tests about Promise, run against Promyse. Each case is bound to the spec
+// step it checks, and a report of the passing steps is printed at the end.
+// Cases listed in known-failures.js are expected to fail: only unexpected
+// results make the run fail
+
+var fs = require("fs");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "../", "dist", "index.js"));
+var knownFailures = require(path.join(__dirname, "known-failures.js"));
+
+var TIMEOUT = 2000;
+
+console.log("\n  conformance\n");
+
+var cases = [];
+
+// register a case that checks a spec step
+function spec(step, title, fn) {
+    cases.push({ step: step, title: title, fn: fn });
+}
+
+function withTimeout(fn) {
+    return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+            reject(new Error("Timeout of " + TIMEOUT + "ms exceeded"));
+        }, TIMEOUT);
+
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(function () { clearTimeout(timer); });
+    });
+}
+
+fs.readdirSync(path.join(__dirname, "cases"))
+    .filter(function (file) { return /\.js$/.test(file); })
+    .sort()
+    .forEach(function (file) {
+        require(path.join(__dirname, "cases", file))(spec, Promyse);
+    });
+
+async function run() {
+    var steps = new Map();
+    var unexpected = [];
+
+    for (var c of cases) {
+        var id = c.step + ": " + c.title;
+        var error = null;
+
+        try {
+            await withTimeout(c.fn);
+        } catch (e) {
+            error = e;
+        }
+
+        var known = knownFailures.indexOf(id) !== -1;
+
+        if (!steps.has(c.step)) {
+            steps.set(c.step, { passed: 0, total: 0 });
+        }
+        steps.get(c.step).total++;
+
+        if (!error) {
+            steps.get(c.step).passed++;
+            console.log("    ✓ " + id);
+            if (known) {
+                unexpected.push({ id: id, error: new Error("Passing, but listed in known-failures.js") });
+            }
+        } else if (known) {
+            console.log("    - " + id + " (known failure)");
+        } else {
+            console.log("    ✗ " + id);
+            unexpected.push({ id: id, error: error });
+        }
+    }
+
+    console.log("\n  spec steps report\n");
+    // in the order of the spec sections
+    var sortedSteps = Array.from(steps.keys()).sort(function (a, b) {
+        return a.localeCompare(b, undefined, { numeric: true });
+    });
+    sortedSteps.forEach(function (step) {
+        var result = steps.get(step);
+        var mark = result.passed === result.total ? "✓" : "✗";
+        console.log("    " + mark + " " + step + "  " + result.passed + "/" + result.total);
+    });
+
+    var totalPassed = 0;
+    steps.forEach(function (result) { totalPassed += result.passed; });
+    console.log("\n  " + totalPassed + "/" + cases.length + " cases passing");
+
+    if (unexpected.length) {
+        console.log("  " + unexpected.length + " unexpected results\n");
+        unexpected.forEach(function (u, idx) {
+            console.log("  " + (idx + 1) + ") " + u.id + ":");
+            console.log(u.error);
+        });
+    }
+
+    return unexpected.length;
+}
+
+run().then(function (failures) {
+    process.exitCode = failures ? 1 : 0;
+});
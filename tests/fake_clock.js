@@ -0,0 +1,47 @@
+// A manual clock for the timer helpers: time passes only when told to
+
+module.exports = function createFakeClock() {
+    var time = 0;
+    var nextId = 1;
+    var timers = new Map();
+
+    var clock = {
+        now: function () { return time; },
+        setTimeout: function (cb, ms) {
+            var id = nextId++;
+            timers.set(id, { cb: cb, at: time + ms });
+            return id;
+        },
+        clearTimeout: function (id) {
+            timers.delete(id);
+        },
+
+        // number of timers not yet fired nor cleared
+        get pending() {
+            return timers.size;
+        },
+
+        // move the time forward, firing the expired timers in order
+        advance: function (ms) {
+            var target = time + ms;
+            for (;;) {
+                var next = null;
+                timers.forEach(function (timer, id) {
+                    if (timer.at <= target && (next === null || timer.at < timers.get(next).at)) {
+                        next = id;
+                    }
+                });
+                if (next === null) {
+                    break;
+                }
+                var timer = timers.get(next);
+                timers.delete(next);
+                time = timer.at;
+                timer.cb();
+            }
+            time = target;
+        },
+    };
+
+    return clock;
+};
@@ -0,0 +1,31 @@
+// Creates a million never settling Promyse chains, then abandons them.
+// Must be run with --expose-gc: prints the heap growth, in bytes,
+// between the first batch and the last one
+
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "../", "dist", "index.js"));
+
+var CHAINS = 1000000;
+var BATCH = 50000;
+
+function heapUsed() {
+    global.gc();
+    global.gc();
+    return process.memoryUsage().heapUsed;
+}
+
+var baseline = 0;
+
+for (var i = 0; i < CHAINS; i++) {
+    new Promyse(function () { })
+        .then(function (value) { return value; })
+        .catch(function () { })
+        .finally(function () { });
+
+    // the first batch warms everything up
+    if (i === BATCH) {
+        baseline = heapUsed();
+    }
+}
+
+console.log(heapUsed() - baseline);
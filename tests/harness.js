@@ -0,0 +1,62 @@
+// Minimal test harness for the suites not covered by "promises-aplus-tests"
+
+var TIMEOUT = 2000;
+
+var suites = [];
+
+// start a new suite, the following tests will belong to it
+module.exports.suite = function suite(name) {
+    suites.push({ name: name, tests: [] });
+};
+
+// a test passes if fn returns without throwing
+// or if the returned promise fulfills.
+// Slow tests can have a longer timeout, in ms
+module.exports.test = function test(name, fn, timeout) {
+    suites[suites.length - 1].tests.push({ name: name, fn: fn, timeout: timeout || TIMEOUT });
+};
+
+function withTimeout(fn, timeout) {
+    return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+            reject(new Error("Timeout of " + timeout + "ms exceeded"));
+        }, timeout);
+
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(function () { clearTimeout(timer); });
+    });
+}
+
+// run every test sequentially, returning the number of failures
+module.exports.run = async function run() {
+    var passed = 0;
+    var failures = [];
+
+    for (var suite of suites) {
+        console.log("\n  " + suite.name);
+
+        for (var test of suite.tests) {
+            try {
+                await withTimeout(test.fn, test.timeout);
+                passed++;
+                console.log("    ✓ " + test.name);
+            } catch (e) {
+                failures.push({ suite: suite.name, test: test.name, error: e });
+                console.log("    ✗ " + test.name);
+            }
+        }
+    }
+
+    console.log("\n  " + passed + " passing");
+    if (failures.length) {
+        console.log("  " + failures.length + " failing\n");
+        failures.forEach(function (failure, idx) {
+            console.log("  " + (idx + 1) + ") " + failure.suite + " " + failure.test + ":");
+            console.log(failure.error);
+        });
+    }
+
+    return failures.length;
+};
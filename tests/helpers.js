@@ -0,0 +1,24 @@
+// Helpers shared by the tests/test_*.js suites
+
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+
+// a Promyse resolved with value after ms milliseconds
+module.exports.delayed = function delayed(ms, value) {
+    return new Promyse(function (resolve) { setTimeout(resolve, ms, value); });
+};
+
+// a Promyse rejected with reason after ms milliseconds
+module.exports.rejectedAfter = function rejectedAfter(ms, reason) {
+    return new Promyse(function (resolve, reject) { setTimeout(reject, ms, reason); });
+};
+
+// wait until the queued jobs, and the timers due now, have been run
+module.exports.flush = function flush() {
+    return new Promise(function (resolve) { setTimeout(resolve, 0); });
+};
+
+// fulfillment handler of the Promyses that are expected to reject
+module.exports.shouldReject = function shouldReject() {
+    throw new Error("should have rejected");
+};
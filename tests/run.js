@@ -0,0 +1,17 @@
+// Runner for every tests/test_*.js suite but the Promises/A+ adapters
+
+var fs = require("fs");
+var path = require("path");
+var harness = require(path.join(__dirname, "harness.js"));
+
+fs.readdirSync(__dirname)
+    .filter(function (file) { return /^test_.+\.js$/.test(file) && !/^test_adapter/.test(file); })
+    .sort()
+    .forEach(function (file) {
+        harness.suite(file.replace(/^test_|\.js$/g, ""));
+        require(path.join(__dirname, file));
+    });
+
+harness.run().then(function (failures) {
+    process.exitCode = failures ? 1 : 0;
+});
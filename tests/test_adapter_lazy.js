@@ -0,0 +1,30 @@
+// Adapter for "promises-aplus-tests" test runner, for LazyPromyses
+
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+
+// the resolving functions of a LazyPromyse are not there until someone subscribes,
+// so the deferred one adopts a plain Promyse that can be settled from outside
+module.exports.deferred = function __deferred__() {
+    var o = {};
+    var inner = new Promyse(function (resolve, reject) {
+        o.resolve = resolve;
+        o.reject = reject;
+    });
+    o.promise = Promyse.lazy(function (resolve) {
+        resolve(inner);
+    });
+    return o;
+};
+
+module.exports.resolved = function __resolved__(val) {
+    return Promyse.lazy(function (resolve) {
+        resolve(val);
+    });
+};
+
+module.exports.rejected = function __rejected__(reason) {
+    return Promyse.lazy(function (resolve, reject) {
+        reject(reason);
+    });
+};
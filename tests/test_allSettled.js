@@ -0,0 +1,94 @@
+// ES2020 compliance of Promyse.allSettled
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+
+test("fulfilled inputs produce { status: 'fulfilled', value } records", function () {
+    return Promyse.allSettled([Promyse.resolve(1), 2]).then(function (results) {
+        assert.deepStrictEqual(results, [
+            { status: "fulfilled", value: 1 },
+            { status: "fulfilled", value: 2 },
+        ]);
+    });
+});
+
+test("rejected inputs produce { status: 'rejected', reason } records", function () {
+    var error = new Error("boom");
+    return Promyse.allSettled([Promyse.reject(error)]).then(function (results) {
+        assert.deepStrictEqual(results, [{ status: "rejected", reason: error }]);
+        assert.strictEqual(results[0].reason, error);
+        assert.ok(!("value" in results[0]));
+    });
+});
+
+test("records have only the own properties the spec defines", function () {
+    return Promyse.allSettled([1, Promyse.reject(2)]).then(function (results) {
+        assert.deepStrictEqual(Object.keys(results[0]), ["status", "value"]);
+        assert.deepStrictEqual(Object.keys(results[1]), ["status", "reason"]);
+    });
+});
+
+test("results keep the input order, not the settlement order", function () {
+    var slow = new Promyse(function (resolve) { setTimeout(resolve, 20, "slow"); });
+    var fast = new Promyse(function (_, reject) { setTimeout(reject, 5, "fast"); });
+    return Promyse.allSettled([slow, fast, "sync"]).then(function (results) {
+        assert.deepStrictEqual(results, [
+            { status: "fulfilled", value: "slow" },
+            { status: "rejected", reason: "fast" },
+            { status: "fulfilled", value: "sync" },
+        ]);
+    });
+});
+
+test("holes of sparse arrays are settled as undefined at the same index", function () {
+    var sparse = [, Promyse.reject(1), , 3];
+    return Promyse.allSettled(sparse).then(function (results) {
+        assert.strictEqual(results.length, 4);
+        assert.ok(0 in results && 2 in results);
+        assert.deepStrictEqual(results, [
+            { status: "fulfilled", value: undefined },
+            { status: "rejected", reason: 1 },
+            { status: "fulfilled", value: undefined },
+            { status: "fulfilled", value: 3 },
+        ]);
+    });
+});
+
+test("waits for every input even when the last one settles first", function () {
+    var pending = new Promyse(function (resolve) { setTimeout(resolve, 10, "late"); });
+    return Promyse.allSettled([pending, 1]).then(function (results) {
+        assert.deepStrictEqual(results[0], { status: "fulfilled", value: "late" });
+    });
+});
+
+test("accepts any iterable, thenables included", function () {
+    function* gen() {
+        yield 1;
+        yield { then: function (_, reject) { reject(2); } };
+    }
+    return Promyse.allSettled(gen()).then(function (results) {
+        assert.deepStrictEqual(results, [
+            { status: "fulfilled", value: 1 },
+            { status: "rejected", reason: 2 },
+        ]);
+    });
+});
+
+test("fulfills with an empty array on an empty iterable", function () {
+    return Promyse.allSettled(new Set()).then(function (results) {
+        assert.deepStrictEqual(results, []);
+    });
+});
+
+test("never rejects", function () {
+    return Promyse.allSettled([Promyse.reject(1), Promyse.reject(2)]).then(function (results) {
+        assert.strictEqual(results.length, 2);
+    });
+});
+
+test("throws a TypeError when the argument is not iterable", function () {
+    assert.throws(function () { Promyse.allSettled(42); }, TypeError);
+    assert.throws(function () { Promyse.allSettled({}); }, TypeError);
+});
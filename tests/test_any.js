@@ -0,0 +1,100 @@
+// ES2021 compliance of Promyse.any
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, AggregateError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, rejectedAfter } = require(path.join(__dirname, "helpers.js"));
+
+test("the exported AggregateError is the native one when available", function () {
+    if (typeof global.AggregateError === "function") {
+        assert.strictEqual(AggregateError, global.AggregateError);
+    }
+    var error = new AggregateError([1, 2], "message");
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, "AggregateError");
+    assert.strictEqual(error.message, "message");
+    assert.deepStrictEqual(error.errors, [1, 2]);
+});
+
+test("rejects immediately with an AggregateError on an empty iterable", function () {
+    return Promyse.any([]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.ok(error instanceof AggregateError);
+            assert.deepStrictEqual(error.errors, []);
+        }
+    );
+});
+
+test("fulfills with the first fulfilled value", function () {
+    return Promyse.any([delayed(20, "slow"), delayed(5, "fast"), rejectedAfter(1, "fail")]).then(function (value) {
+        assert.strictEqual(value, "fast");
+    });
+});
+
+test("rejects with an AggregateError when every input rejects", function () {
+    return Promyse.any([Promyse.reject(1), Promyse.reject(2)]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.ok(error instanceof AggregateError);
+            assert.ok(Array.isArray(error.errors));
+        }
+    );
+});
+
+test(".errors are in input order, not in rejection order", function () {
+    return Promyse.any([rejectedAfter(20, "first"), rejectedAfter(5, "second"), Promyse.reject("third")]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.deepStrictEqual(error.errors, ["first", "second", "third"]);
+        }
+    );
+});
+
+test("waits for every input even when the last one rejects first", function () {
+    return Promyse.any([rejectedAfter(10, "late"), Promyse.reject("early")]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.deepStrictEqual(error.errors, ["late", "early"]);
+        }
+    );
+});
+
+test("thenables that throw count as rejections", function () {
+    var throwingThen = { then: function () { throw "thrown"; } };
+    var throwingGetter = { get then() { throw "getter"; } };
+    return Promyse.any([throwingThen, throwingGetter]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.deepStrictEqual(error.errors, ["thrown", "getter"]);
+        }
+    );
+});
+
+test("a thenable that fulfills wins over thenables that throw", function () {
+    var throwingThen = { then: function () { throw "thrown"; } };
+    var fulfilling = { then: function (resolve) { resolve("ok"); } };
+    return Promyse.any([throwingThen, fulfilling]).then(function (value) {
+        assert.strictEqual(value, "ok");
+    });
+});
+
+test("mixed sync and async inputs", function () {
+    return Promyse.any([rejectedAfter(5, "async"), Promyse.reject("sync"), "plain value"]).then(function (value) {
+        assert.strictEqual(value, "plain value");
+    });
+});
+
+test("mixed sync and async rejections", function () {
+    return Promyse.any([rejectedAfter(5, "async"), Promyse.reject("sync")]).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.deepStrictEqual(error.errors, ["async", "sync"]);
+        }
+    );
+});
+
+test("throws a TypeError when the argument is not iterable", function () {
+    assert.throws(function () { Promyse.any(42); }, TypeError);
+});
@@ -0,0 +1,223 @@
+// CancelToken and the signals of the constructor, then, catch, finally and the combinators
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, flush, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+function isCancellation(reason) {
+    return reason instanceof CancellationError;
+}
+
+test("CancelToken.source returns a token and the function that cancels it", function () {
+    var source = CancelToken.source();
+
+    assert.ok(source.token instanceof CancelToken);
+    assert.strictEqual(source.token.aborted, false);
+    assert.strictEqual(source.token.reason, undefined);
+
+    source.cancel();
+    assert.strictEqual(source.token.aborted, true);
+    assert.ok(source.token.reason instanceof CancellationError);
+});
+
+test("a token is cancelled only once, with the first reason", function () {
+    var source = CancelToken.source();
+    var calls = [];
+    source.token.addEventListener("abort", function (event) { calls.push(event); });
+
+    source.cancel("first");
+    source.cancel("second");
+
+    assert.strictEqual(source.token.reason, "first");
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].type, "abort");
+    assert.strictEqual(calls[0].target, source.token);
+});
+
+test("throwIfAborted throws the reason only once the token is cancelled", function () {
+    var error = new Error("stop");
+    var source = CancelToken.source();
+
+    source.token.throwIfAborted();
+    source.cancel(error);
+    assert.throws(function () { source.token.throwIfAborted(); }, function (e) { return e === error; });
+});
+
+test("removed listeners and listeners of other events are not called", function () {
+    var source = CancelToken.source();
+    var calls = 0;
+    var listener = function () { calls++; };
+    source.token.addEventListener("abort", listener);
+    source.token.removeEventListener("abort", listener);
+    source.token.addEventListener("other", listener);
+
+    source.cancel();
+    assert.strictEqual(calls, 0);
+});
+
+test("CancelToken throws a TypeError without an executor", function () {
+    assert.throws(function () { new CancelToken(); }, TypeError);
+});
+
+test("a Promyse created with an aborted signal is cancelled without calling the executor", function () {
+    var source = CancelToken.source();
+    var called = false;
+    source.cancel();
+
+    var promyse = new Promyse(function () { called = true; }, source.token);
+    assert.strictEqual(called, false);
+    assert.ok(promyse.isRejected());
+    return promyse.then(shouldReject, function (reason) {
+        assert.ok(isCancellation(reason));
+    });
+});
+
+test("aborting the signal cancels a pending Promyse, but not a settled one", function () {
+    var source = CancelToken.source();
+    var pending = new Promyse(function () { }, source.token);
+    var settled = new Promyse(function (resolve) { resolve("value"); }, source.token);
+    source.cancel();
+
+    assert.strictEqual(settled.value(), "value");
+    return pending.then(shouldReject, function (reason) {
+        assert.ok(isCancellation(reason));
+    });
+});
+
+test("the reason of an AbortController signal is wrapped into a CancellationError", function () {
+    var controller = new AbortController();
+    var promyse = new Promyse(function () { }, controller.signal);
+    controller.abort("no longer needed");
+
+    return promyse.then(shouldReject, function (reason) {
+        assert.ok(isCancellation(reason));
+        assert.strictEqual(reason.reason, "no longer needed");
+    });
+});
+
+test("aborting the signal of then drops the reaction and cancels the derived Promyse", function () {
+    var source = CancelToken.source();
+    var called = false;
+    var derived = delayed(5, "value").then(function () { called = true; }, null, source.token);
+    source.cancel();
+
+    return derived.then(shouldReject, function (reason) {
+        assert.ok(isCancellation(reason));
+        return delayed(10);
+    }).then(function () {
+        assert.strictEqual(called, false);
+    });
+});
+
+test("then with an already aborted signal does not call the handler", function () {
+    var source = CancelToken.source();
+    var called = false;
+    source.cancel();
+
+    var derived = Promyse.resolve().then(function () { called = true; }, null, source.token);
+    return derived.then(shouldReject, function (reason) {
+        assert.ok(isCancellation(reason));
+        assert.strictEqual(called, false);
+    });
+});
+
+test("a reaction already queued is not run once its signal is aborted", function () {
+    var source = CancelToken.source();
+    var called = false;
+    Promyse.resolve().then(function () { called = true; }, null, source.token).catch(function () { });
+    source.cancel();
+
+    return flush().then(function () {
+        assert.strictEqual(called, false);
+    });
+});
+
+test("catch and finally take a signal too", function () {
+    var source = CancelToken.source();
+    var calls = [];
+    var caught = delayed(5).then(function () { throw new Error("failed"); })
+        .catch(function () { calls.push("catch"); }, source.token);
+    var finalized = delayed(5).finally(function () { calls.push("finally"); }, source.token);
+    source.cancel();
+
+    return Promyse.allSettled([caught, finalized]).then(function (results) {
+        assert.ok(isCancellation(results[0].reason));
+        assert.ok(isCancellation(results[1].reason));
+        return delayed(10);
+    }).then(function () {
+        assert.deepStrictEqual(calls, []);
+    });
+});
+
+test("dropping a reaction keeps the others in order", function () {
+    var first = CancelToken.source();
+    var middle = CancelToken.source();
+    var log = [];
+    var promyse = delayed(5, "value");
+
+    // the first reaction is stored inline, the others in a collection
+    promyse.then(function () { log.push("first"); }, null, first.token).catch(function () { });
+    promyse.then(function () { log.push("second"); });
+    promyse.then(function () { log.push("third"); }, null, middle.token).catch(function () { });
+    promyse.then(function () { log.push("fourth"); });
+    first.cancel();
+    middle.cancel();
+    promyse.then(function () { log.push("fifth"); });
+
+    return delayed(10).then(function () {
+        assert.deepStrictEqual(log, ["second", "fourth", "fifth"]);
+    });
+});
+
+test("the combinators pass their signal on to the reactions on their inputs", function () {
+    var seen = [];
+    class SpyPromyse extends Promyse {
+        then(onfulfill, onreject, onprogress, signal) {
+            seen.push([].slice.call(arguments).indexOf(source.token) !== -1);
+            return super.then(onfulfill, onreject, onprogress, signal);
+        }
+    }
+    var source = CancelToken.source();
+    function inputs() {
+        return [new SpyPromyse(function () { }), new SpyPromyse(function () { })];
+    }
+
+    var combined = [
+        SpyPromyse.all(inputs(), source.token),
+        SpyPromyse.race(inputs(), source.token),
+        SpyPromyse.any(inputs(), source.token),
+        SpyPromyse.allSettled(inputs(), source.token),
+    ];
+    assert.deepStrictEqual(seen, [true, true, true, true, true, true, true, true]);
+    source.cancel();
+
+    return Promyse.allSettled(combined).then(function (results) {
+        results.forEach(function (result) {
+            assert.strictEqual(result.status, "rejected");
+            assert.ok(isCancellation(result.reason));
+        });
+    });
+});
+
+test("aborting the signal of a combinator drops its reactions on the inputs", function () {
+    var source = CancelToken.source();
+    var input = delayed(5, "value");
+    var all = Promyse.all([input], source.token);
+    var race = Promyse.race([input], source.token);
+    source.cancel();
+
+    return input.then(function () {
+        return Promyse.allSettled([all, race]);
+    }).then(function (results) {
+        assert.ok(isCancellation(results[0].reason));
+        assert.ok(isCancellation(results[1].reason));
+    });
+});
+
+test("invalid signals are rejected with a TypeError", function () {
+    assert.throws(function () { new Promyse(function () { }, {}); }, TypeError);
+    assert.throws(function () { Promyse.resolve().then(null, null, null, { aborted: "no" }); }, TypeError);
+    assert.throws(function () { Promyse.all([], {}); }, TypeError);
+});
@@ -0,0 +1,196 @@
+// Promyse.map, Promyse.mapSeries, Promyse.each and Promyse.filter
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed } = require(path.join(__dirname, "helpers.js"));
+
+// a mapper that records how many calls are in flight at most
+function trackingMapper(ms) {
+    var mapper = function (value) {
+        mapper.inFlight++;
+        mapper.maxInFlight = Math.max(mapper.maxInFlight, mapper.inFlight);
+        return delayed(ms, value * 2).then(function (result) {
+            mapper.inFlight--;
+            return result;
+        });
+    };
+    mapper.inFlight = 0;
+    mapper.maxInFlight = 0;
+    return mapper;
+}
+
+test("map keeps the results in input order", function () {
+    return Promyse.map([30, 10, 20], function (ms) { return delayed(ms, ms); }).then(function (results) {
+        assert.deepStrictEqual(results, [30, 10, 20]);
+    });
+});
+
+test("map resolves the elements before mapping them", function () {
+    return Promyse.map([Promyse.resolve(1), delayed(5, 2), 3], function (value) { return value * 10; }).then(function (results) {
+        assert.deepStrictEqual(results, [10, 20, 30]);
+    });
+});
+
+test("map passes the index to the mapper", function () {
+    return Promyse.map(["a", "b"], function (value, idx) { return value + idx; }).then(function (results) {
+        assert.deepStrictEqual(results, ["a0", "b1"]);
+    });
+});
+
+test("map keeps at most concurrency mappers in flight", function () {
+    var mapper = trackingMapper(5);
+    return Promyse.map([1, 2, 3, 4, 5, 6, 7], mapper, { concurrency: 2 }).then(function (results) {
+        assert.strictEqual(mapper.maxInFlight, 2);
+        assert.deepStrictEqual(results, [2, 4, 6, 8, 10, 12, 14]);
+    });
+});
+
+test("map pulls the elements of the iterable lazily", function () {
+    var pulled = 0;
+    function* lazy() {
+        for (var i = 0; i < 5; i++) {
+            pulled++;
+            yield i;
+        }
+    }
+    var resolvers = [];
+    var mapped = Promyse.map(lazy(), function () {
+        return new Promyse(function (resolve) { resolvers.push(resolve); });
+    }, { concurrency: 2 });
+
+    function resolvePending() {
+        resolvers.splice(0).forEach(function (resolve) { resolve(); });
+        return delayed(5);
+    }
+
+    return delayed(5).then(function () {
+        assert.strictEqual(pulled, 2);
+        return resolvePending();
+    }).then(function () {
+        assert.strictEqual(pulled, 4);
+        return resolvePending();
+    }).then(function () {
+        assert.strictEqual(pulled, 5);
+        return resolvePending();
+    }).then(function () {
+        return mapped;
+    });
+});
+
+test("map accepts async iterables", function () {
+    async function* numbers() {
+        yield 1;
+        await delayed(5);
+        yield 2;
+        yield 3;
+    }
+    return Promyse.map(numbers(), function (value) { return value + 1; }, { concurrency: 2 }).then(function (results) {
+        assert.deepStrictEqual(results, [2, 3, 4]);
+    });
+});
+
+test("map fails fast, aborting the signal received by the pending mappers", function () {
+    var error = new Error("boom");
+    var signals = [];
+    return Promyse.map([1, 2, 3], function (value, idx, signal) {
+        signals.push(signal);
+        return value === 2 ? Promyse.reject(error) : delayed(50, value);
+    }).then(
+        function () { assert.fail("should have been rejected"); },
+        function (reason) {
+            assert.strictEqual(reason, error);
+            assert.ok(signals.length > 0);
+            signals.forEach(function (signal) { assert.strictEqual(signal.aborted, true); });
+        }
+    );
+});
+
+test("map stops pulling and closes the iterator when failing", function () {
+    var closed = false;
+    var pulled = 0;
+    function* endless() {
+        try {
+            for (;;) {
+                pulled++;
+                yield pulled;
+            }
+        } finally {
+            closed = true;
+        }
+    }
+    return Promyse.map(endless(), function (value) {
+        if (value === 3) {
+            throw new Error("stop");
+        }
+        return value;
+    }, { concurrency: 1 }).then(
+        function () { assert.fail("should have been rejected"); },
+        function () {
+            assert.strictEqual(closed, true);
+            assert.strictEqual(pulled, 3);
+        }
+    );
+});
+
+test("map rejects when the iterator throws", function () {
+    var error = new Error("iterator");
+    function* failing() {
+        yield 1;
+        throw error;
+    }
+    return Promyse.map(failing(), function (value) { return value; }).then(
+        function () { assert.fail("should have been rejected"); },
+        function (reason) { assert.strictEqual(reason, error); }
+    );
+});
+
+test("map can be cancelled with a signal", function () {
+    var source = CancelToken.source();
+    var mapped = Promyse.map([1, 2, 3], function (value) { return delayed(50, value); }, { signal: source.token });
+    setTimeout(source.cancel, 5);
+    return mapped.then(
+        function () { assert.fail("should have been rejected"); },
+        function (reason) { assert.ok(reason instanceof CancellationError); }
+    );
+});
+
+test("map of an empty iterable resolves with an empty array", function () {
+    return Promyse.map([], function () { assert.fail("never called"); }).then(function (results) {
+        assert.deepStrictEqual(results, []);
+    });
+});
+
+test("map throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.map(42, function () { }); }, TypeError);
+    assert.throws(function () { Promyse.map([], null); }, TypeError);
+    assert.throws(function () { Promyse.map([], function () { }, { concurrency: 0 }); }, TypeError);
+});
+
+test("mapSeries maps one element at a time", function () {
+    var mapper = trackingMapper(2);
+    return Promyse.mapSeries([1, 2, 3], mapper).then(function (results) {
+        assert.strictEqual(mapper.maxInFlight, 1);
+        assert.deepStrictEqual(results, [2, 4, 6]);
+    });
+});
+
+test("each calls the iterator in order and resolves with the elements", function () {
+    var seen = [];
+    return Promyse.each([delayed(10, "a"), "b", "c"], function (value) {
+        seen.push(value);
+        return delayed(1, "ignored");
+    }).then(function (values) {
+        assert.deepStrictEqual(seen, ["a", "b", "c"]);
+        assert.deepStrictEqual(values, ["a", "b", "c"]);
+    });
+});
+
+test("filter keeps the elements with a truthy predicate, in input order", function () {
+    return Promyse.filter([5, 1, 4, 2, 3], function (value) {
+        return delayed(value, value % 2 === 1);
+    }, { concurrency: 2 }).then(function (values) {
+        assert.deepStrictEqual(values, [5, 1, 3]);
+    });
+});
@@ -0,0 +1,171 @@
+// promyse.disposer and Promyse.using
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, AggregateError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, rejectedAfter, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// a pool of fake connections, logging what happens to them
+function createPool() {
+    var pool = { log: [], open: 0 };
+
+    pool.connect = function (name, ms) {
+        return delayed(ms || 0, name).then(function () {
+            pool.open++;
+            pool.log.push("acquire " + name);
+            return { name: name };
+        }).disposer(function (connection) {
+            pool.open--;
+            pool.log.push("release " + connection.name);
+            return delayed(1);
+        });
+    };
+
+    return pool;
+}
+
+test("using calls fn with the resources and resolves with its result", function () {
+    var pool = createPool();
+
+    return Promyse.using(pool.connect("a"), pool.connect("b"), 42, function (a, b, value) {
+        assert.strictEqual(a.name, "a");
+        assert.strictEqual(b.name, "b");
+        assert.strictEqual(value, 42);
+        assert.strictEqual(pool.open, 2);
+        return delayed(5, "result");
+    }).then(function (result) {
+        assert.strictEqual(result, "result");
+        assert.strictEqual(pool.open, 0);
+    });
+});
+
+test("using acquires the resources concurrently and releases them in reverse order", function () {
+    var pool = createPool();
+    var start = Date.now();
+
+    return Promyse.using(pool.connect("a", 30), pool.connect("b", 30), pool.connect("c", 10), function () {
+        assert.ok(Date.now() - start < 55);
+    }).then(function () {
+        assert.deepStrictEqual(pool.log.slice(3), ["release c", "release b", "release a"]);
+    });
+});
+
+test("using releases the resources when fn rejects or throws", function () {
+    var pool = createPool();
+    var error = new Error("fn failed");
+
+    return Promyse.using(pool.connect("a"), function () {
+        return Promyse.reject(error);
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.strictEqual(pool.open, 0);
+
+        return Promyse.using(pool.connect("b"), function () { throw error; });
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.strictEqual(pool.open, 0);
+    });
+});
+
+test("using releases the acquired resources when a sibling acquisition fails", function () {
+    var pool = createPool();
+    var error = new Error("cannot connect");
+    var called = false;
+
+    return Promyse.using(pool.connect("a", 5), rejectedAfter(1, error).disposer(function () { }), pool.connect("c", 20), function () {
+        called = true;
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.strictEqual(called, false);
+        // the one acquired after the failure too
+        assert.deepStrictEqual(pool.log, ["acquire a", "acquire c", "release c", "release a"]);
+    });
+});
+
+test("a release error rejects using when everything else went well", function () {
+    var error = new Error("cannot release");
+    var released = [];
+
+    return Promyse.using(
+        Promyse.resolve("a").disposer(function () { released.push("a"); }),
+        Promyse.resolve("b").disposer(function () { throw error; }),
+        function () { return "result"; }
+    ).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        // a failing release does not stop the others
+        assert.deepStrictEqual(released, ["a"]);
+    });
+});
+
+test("more release errors reject using with an AggregateError", function () {
+    var errors = [new Error("first"), new Error("second")];
+
+    return Promyse.using(
+        Promyse.resolve().disposer(function () { return Promyse.reject(errors[1]); }),
+        Promyse.resolve().disposer(function () { throw errors[0]; }),
+        function () { }
+    ).then(shouldReject, function (reason) {
+        assert.ok(reason instanceof AggregateError);
+        assert.deepStrictEqual(reason.errors, errors);
+    });
+});
+
+test("release errors do not hide the primary failure, they are reported to the hook", function () {
+    var primary = new Error("fn failed");
+    var releaseError = new Error("cannot release");
+    var reported = [];
+    Promyse.onReleaseError = function (error, resource) { reported.push([error, resource]); };
+
+    return Promyse.using(Promyse.resolve("resource").disposer(function () { throw releaseError; }), function () {
+        throw primary;
+    }).then(shouldReject, function (reason) {
+        Promyse.onReleaseError = null;
+        assert.strictEqual(reason, primary);
+        assert.deepStrictEqual(reported, [[releaseError, "resource"]]);
+        assert.deepStrictEqual(primary.suppressed, [releaseError]);
+    });
+});
+
+test("without a hook, release errors are attached to the primary failure instead of being thrown", function () {
+    var primary = new Error("fn failed");
+    var releaseErrors = [new Error("second"), new Error("first")];
+    var uncaught = [];
+    function onUncaught(e) { uncaught.push(e); }
+    process.on("uncaughtException", onUncaught);
+
+    return Promyse.using(
+        Promyse.resolve().disposer(function () { throw releaseErrors[1]; }),
+        Promyse.resolve().disposer(function () { throw releaseErrors[0]; }),
+        function () { throw primary; }
+    ).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, primary);
+        assert.deepStrictEqual(reason.suppressed, releaseErrors);
+        return delayed(10);
+    }).then(function () {
+        process.removeListener("uncaughtException", onUncaught);
+        assert.deepStrictEqual(uncaught, []);
+    }, function (e) {
+        process.removeListener("uncaughtException", onUncaught);
+        throw e;
+    });
+});
+
+test("a primitive primary failure is kept as it is", function () {
+    return Promyse.using(Promyse.resolve().disposer(function () { throw new Error("cannot release"); }), function () {
+        throw "fn failed";
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, "fn failed");
+    });
+});
+
+test("using builds its Promyse with the constructor it was called on", function () {
+    class SubPromyse extends Promyse { }
+    assert.ok(SubPromyse.using(Promyse.resolve().disposer(function () { }), function () { }) instanceof SubPromyse);
+});
+
+test("disposer and using throw a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.resolve().disposer("release"); }, TypeError);
+    assert.throws(function () { Promyse.prototype.disposer.call({}, function () { }); }, TypeError);
+    assert.throws(function () { Promyse.using(Promyse.resolve().disposer(function () { }), "fn"); }, TypeError);
+});
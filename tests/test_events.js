@@ -0,0 +1,229 @@
+// Promyse.fromEvent and Promyse.fromEvents
+
+var assert = require("assert");
+var path = require("path");
+var EventEmitter = require("events");
+var { Promyse, CancelToken, CancellationError, TimeoutError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// how many listeners are attached to the emitter, whatever the event
+function listenersOf(emitter) {
+    return emitter.eventNames().reduce(function (count, name) { return count + emitter.listenerCount(name); }, 0);
+}
+
+test("fromEvent resolves with the first argument of the event, removing every listener", function () {
+    var emitter = new EventEmitter();
+    var received = Promyse.fromEvent(emitter, "data");
+    assert.strictEqual(listenersOf(emitter), 2);
+
+    emitter.emit("data", "first", "ignored");
+    emitter.emit("data", "second");
+    assert.strictEqual(listenersOf(emitter), 0);
+
+    return received.then(function (value) {
+        assert.strictEqual(value, "first");
+    });
+});
+
+test("fromEvent rejects on error events, removing every listener", function () {
+    var emitter = new EventEmitter();
+    var error = new Error("failed");
+    var received = Promyse.fromEvent(emitter, "data", { rejectOn: ["error", "close"] });
+    assert.strictEqual(listenersOf(emitter), 3);
+
+    emitter.emit("close", error);
+    assert.strictEqual(listenersOf(emitter), 0);
+
+    return received.then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
+
+test("fromEvent works with an EventTarget", function () {
+    var target = new EventTarget();
+    var event = new Event("ready");
+    var received = Promyse.fromEvent(target, "ready");
+    target.dispatchEvent(event);
+
+    return received.then(function (value) {
+        assert.strictEqual(value, event);
+    });
+});
+
+test("fromEvent skips the events not accepted by the filter", function () {
+    var emitter = new EventEmitter();
+    var received = Promyse.fromEvent(emitter, "message", {
+        filter: function (type, payload) { return type === "reply"; },
+    });
+
+    emitter.emit("message", "ping", 1);
+    assert.strictEqual(listenersOf(emitter), 2);
+    emitter.emit("message", "reply", 2);
+
+    return received.then(function (value) {
+        assert.strictEqual(value, "reply");
+        assert.strictEqual(listenersOf(emitter), 0);
+    });
+});
+
+test("fromEvent rejects when the filter throws", function () {
+    var emitter = new EventEmitter();
+    var error = new Error("bad filter");
+    var received = Promyse.fromEvent(emitter, "data", { filter: function () { throw error; } });
+    emitter.emit("data");
+
+    return received.then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.strictEqual(listenersOf(emitter), 0);
+    });
+});
+
+test("fromEvent rejects with a TimeoutError when the event is late", function () {
+    var emitter = new EventEmitter();
+
+    return Promyse.fromEvent(emitter, "data", { timeout: 5 }).then(shouldReject, function (reason) {
+        assert.ok(reason instanceof TimeoutError);
+        assert.strictEqual(listenersOf(emitter), 0);
+    });
+});
+
+test("fromEvent does not time out at once with Infinity or a timeout longer than 2^31-1 ms", function () {
+    var emitter = new EventEmitter();
+    var received = [
+        Promyse.fromEvent(emitter, "data", { timeout: Infinity }),
+        Promyse.fromEvent(emitter, "data", { timeout: 30 * 24 * 3600 * 1000 }),
+    ];
+
+    // the event clears the timers, so that the process can exit
+    return delayed(20).then(function () {
+        emitter.emit("data", "in time");
+        return Promyse.all(received);
+    }).then(function (values) {
+        assert.deepStrictEqual(values, ["in time", "in time"]);
+    });
+});
+
+test("fromEvent can be cancelled with a signal", function () {
+    var emitter = new EventEmitter();
+    var source = CancelToken.source();
+    var received = Promyse.fromEvent(emitter, "data", { signal: source.token });
+    source.cancel();
+    assert.strictEqual(listenersOf(emitter), 0);
+
+    return received.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+    });
+});
+
+test("fromEvent throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.fromEvent({}, "data"); }, TypeError);
+    assert.throws(function () { Promyse.fromEvent(new EventEmitter(), "data", { rejectOn: "error" }); }, TypeError);
+    assert.throws(function () { Promyse.fromEvent(new EventEmitter(), "data", { filter: 42 }); }, TypeError);
+    assert.throws(function () { Promyse.fromEvent(new EventEmitter(), "data", { timeout: -1 }); }, TypeError);
+});
+
+test("fromEvents yields the events in order until an end event", async function () {
+    var emitter = new EventEmitter();
+    var iterator = Promyse.fromEvents(emitter, "data", { endOn: ["end"] });
+
+    emitter.emit("data", 1);
+    emitter.emit("data", 2);
+    setTimeout(function () {
+        emitter.emit("data", 3);
+        emitter.emit("end");
+        emitter.emit("data", 4);
+    }, 5);
+
+    var values = [];
+    for await (var value of iterator) {
+        values.push(value);
+    }
+    assert.deepStrictEqual(values, [1, 2, 3]);
+    assert.strictEqual(listenersOf(emitter), 0);
+});
+
+test("fromEvents throws error events into the loop, after the buffered events", async function () {
+    var emitter = new EventEmitter();
+    var error = new Error("failed");
+    var iterator = Promyse.fromEvents(emitter, "data");
+    emitter.emit("data", "a");
+    emitter.emit("error", error);
+    assert.strictEqual(listenersOf(emitter), 0);
+
+    var values = [];
+    await assert.rejects(async function () {
+        for await (var value of iterator) {
+            values.push(value);
+        }
+    }, function (reason) { return reason === error; });
+
+    assert.deepStrictEqual(values, ["a"]);
+    assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+});
+
+test("fromEvents removes its listeners when the consumer breaks early", async function () {
+    var emitter = new EventEmitter();
+    setTimeout(function () { emitter.emit("data", "a"); }, 1);
+
+    for await (var value of Promyse.fromEvents(emitter, "data")) {
+        assert.strictEqual(value, "a");
+        break;
+    }
+    assert.strictEqual(listenersOf(emitter), 0);
+});
+
+test("fromEvents pauses the target at the highWaterMark and resumes it once drained", async function () {
+    var emitter = new EventEmitter();
+    var log = [];
+    emitter.pause = function () { log.push("pause"); };
+    emitter.resume = function () { log.push("resume"); };
+
+    var iterator = Promyse.fromEvents(emitter, "data", { highWaterMark: 2 });
+    emitter.emit("data", 1);
+    assert.deepStrictEqual(log, []);
+    emitter.emit("data", 2);
+    assert.deepStrictEqual(log, ["pause"]);
+
+    assert.deepStrictEqual(await iterator.next(), { value: 1, done: false });
+    assert.deepStrictEqual(log, ["pause"]);
+    assert.deepStrictEqual(await iterator.next(), { value: 2, done: false });
+    assert.deepStrictEqual(log, ["pause", "resume"]);
+
+    await iterator.return();
+});
+
+test("fromEvents works with an EventTarget and a filter", async function () {
+    var target = new EventTarget();
+    var iterator = Promyse.fromEvents(target, "tick", {
+        filter: function (event) { return event.detail % 2 === 0; },
+    });
+    [1, 2, 3, 4].forEach(function (n) { target.dispatchEvent(new CustomEvent("tick", { detail: n })); });
+
+    assert.strictEqual((await iterator.next()).value.detail, 2);
+    assert.strictEqual((await iterator.next()).value.detail, 4);
+    await iterator.return();
+});
+
+test("fromEvents rejects the waiting next calls when the signal is aborted", function () {
+    var emitter = new EventEmitter();
+    var source = CancelToken.source();
+    var iterator = Promyse.fromEvents(emitter, "data", { signal: source.token });
+    var waiting = iterator.next();
+    delayed(1).then(source.cancel);
+
+    return waiting.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+        assert.strictEqual(listenersOf(emitter), 0);
+        return iterator.next();
+    }).then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+    });
+});
+
+test("fromEvents throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.fromEvents(42, "data"); }, TypeError);
+    assert.throws(function () { Promyse.fromEvents(new EventEmitter(), "data", { highWaterMark: 0 }); }, TypeError);
+    assert.throws(function () { Promyse.fromEvents(new EventEmitter(), "data", { endOn: "end" }); }, TypeError);
+    assert.throws(function () { Promyse.fromEvents(new EventEmitter(), "data", { timeout: 10 }); }, TypeError);
+});
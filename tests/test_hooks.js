@@ -0,0 +1,121 @@
+// Promyse.createHook
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed } = require(path.join(__dirname, "helpers.js"));
+
+test("init and settle are called for the Promyses created while the hook is enabled", function () {
+    var events = [];
+    var hook = Promyse.createHook({
+        init: function (id, parentId, promyse) { events.push(["init", id, parentId, promyse]); },
+        settle: function (id, promyse) { events.push(["settle", id, promyse]); },
+    }).enable();
+
+    var promyse = new Promyse(function () { });
+    var resolved = Promyse.resolve(42);
+    hook.disable();
+
+    assert.strictEqual(events.length, 3);
+    assert.strictEqual(events[0][0], "init");
+    assert.strictEqual(events[0][2], 0);
+    assert.strictEqual(events[0][3], promyse);
+    assert.strictEqual(events[1][3], resolved);
+    assert.deepStrictEqual(events[2], ["settle", events[1][1], resolved]);
+    assert.notStrictEqual(events[0][1], events[1][1]);
+});
+
+test("before and after surround the reactions, with the id of the derived Promyse", function () {
+    var events = [];
+    var derivedId = null;
+    var hook = Promyse.createHook({
+        init: function (id) { derivedId = id; },
+        before: function (id) { events.push(["before", id]); },
+        after: function (id) { events.push(["after", id]); },
+    }).enable();
+
+    var source = Promyse.resolve("value");
+    var derived = source.then(function (value) {
+        events.push(["handler", value]);
+        throw new Error("failed");
+    });
+    var id = derivedId;
+
+    return derived.catch(function () { }).then(function () {
+        hook.disable();
+        assert.deepStrictEqual(events.slice(0, 3), [["before", id], ["handler", "value"], ["after", id]]);
+    });
+});
+
+test("the parent id lets a context flow from the creating code into the reactions", function () {
+    var contexts = new Map();
+    var current;
+    var hook = Promyse.createHook({
+        init: function (id, parentId) { contexts.set(id, parentId !== 0 ? contexts.get(parentId) : current); },
+        before: function (id) { current = contexts.get(id); },
+        after: function () { current = undefined; },
+    }).enable();
+
+    // two requests, interleaved
+    function handle(requestId, ms) {
+        current = requestId;
+        var seen = [];
+        var done = delayed(ms).then(function () {
+            seen.push(current);
+            return delayed(ms);
+        }).then(function () {
+            seen.push(current);
+            return Promyse.resolve().then(function () { seen.push(current); });
+        }).then(function () {
+            return seen;
+        });
+        current = undefined;
+        return done;
+    }
+
+    return Promyse.all([handle("first", 10), handle("second", 3)]).then(function (seen) {
+        hook.disable();
+        assert.deepStrictEqual(seen, [["first", "first", "first"], ["second", "second", "second"]]);
+    });
+});
+
+test("disabled hooks are not called anymore", function () {
+    var calls = 0;
+    var hook = Promyse.createHook({ init: function () { calls++; } });
+
+    Promyse.resolve();
+    hook.enable();
+    hook.enable();
+    Promyse.resolve();
+    hook.disable();
+    Promyse.resolve();
+
+    assert.strictEqual(calls, 1);
+});
+
+test("a throwing hook does not break the Promyse", function () {
+    var error = new Error("hook failed");
+    var uncaught = [];
+    var listeners = process.listeners("uncaughtException");
+    process.removeAllListeners("uncaughtException");
+    process.on("uncaughtException", function (e) { uncaught.push(e); });
+
+    var hook = Promyse.createHook({ settle: function () { throw error; } }).enable();
+    var promyse = Promyse.resolve("value");
+    hook.disable();
+
+    return promyse.then(function (value) {
+        assert.strictEqual(value, "value");
+        return delayed(5);
+    }).then(function () {
+        process.removeAllListeners("uncaughtException");
+        listeners.forEach(function (listener) { process.on("uncaughtException", listener); });
+        assert.deepStrictEqual(uncaught, [error]);
+    });
+});
+
+test("createHook throws a TypeError for invalid callbacks", function () {
+    assert.throws(function () { Promyse.createHook(); }, TypeError);
+    assert.throws(function () { Promyse.createHook({ init: 42 }); }, TypeError);
+});
@@ -0,0 +1,68 @@
+// Synchronous state inspection API
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+
+test("a pending Promyse", function () {
+    var pending = new Promyse(function () { });
+    assert.strictEqual(pending.isPending(), true);
+    assert.strictEqual(pending.isFulfilled(), false);
+    assert.strictEqual(pending.isRejected(), false);
+    assert.throws(function () { pending.value(); }, TypeError);
+    assert.throws(function () { pending.reason(); }, TypeError);
+    assert.deepStrictEqual(Promyse.inspect(pending), { status: "pending" });
+});
+
+test("a fulfilled Promyse is inspectable synchronously", function () {
+    var fulfilled = Promyse.resolve(42);
+    assert.strictEqual(fulfilled.isPending(), false);
+    assert.strictEqual(fulfilled.isFulfilled(), true);
+    assert.strictEqual(fulfilled.isRejected(), false);
+    assert.strictEqual(fulfilled.value(), 42);
+    assert.throws(function () { fulfilled.reason(); }, TypeError);
+    assert.deepStrictEqual(Promyse.inspect(fulfilled), { status: "fulfilled", value: 42 });
+});
+
+test("a rejected Promyse is inspectable synchronously", function () {
+    var error = new Error("reason");
+    var rejected = Promyse.reject(error);
+    rejected.catch(function () { });
+    assert.strictEqual(rejected.isPending(), false);
+    assert.strictEqual(rejected.isFulfilled(), false);
+    assert.strictEqual(rejected.isRejected(), true);
+    assert.strictEqual(rejected.reason(), error);
+    assert.throws(function () { rejected.value(); }, TypeError);
+    assert.deepStrictEqual(Promyse.inspect(rejected), { status: "rejected", reason: error });
+});
+
+test("a Promyse resolved with a pending thenable is still pending", function () {
+    var locked = Promyse.resolve(new Promyse(function () { }));
+    var resolvedWithPending = new Promyse(function (resolve) { resolve(new Promyse(function () { })); });
+    assert.strictEqual(locked.isPending(), true);
+    assert.strictEqual(resolvedWithPending.isPending(), true);
+});
+
+test("the state is updated once the Promyse settles", function () {
+    var derived = Promyse.resolve(1).then(function (value) { return value + 1; });
+    assert.strictEqual(derived.isPending(), true);
+    return derived.then(function () {
+        assert.strictEqual(derived.value(), 2);
+    });
+});
+
+test("snapshots are frozen and do not change", function () {
+    var resolveFn = null;
+    var promyse = new Promyse(function (resolve) { resolveFn = resolve; });
+    var snapshot = Promyse.inspect(promyse);
+    resolveFn(1);
+    assert.ok(Object.isFrozen(snapshot));
+    assert.deepStrictEqual(snapshot, { status: "pending" });
+    assert.deepStrictEqual(Promyse.inspect(promyse), { status: "fulfilled", value: 1 });
+});
+
+test("only Promyses can be inspected", function () {
+    assert.throws(function () { Promyse.inspect(Promise.resolve()); }, TypeError);
+    assert.throws(function () { Promyse.prototype.isPending.call({}); }, TypeError);
+});
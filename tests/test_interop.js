@@ -0,0 +1,138 @@
+// interoperability with native Promises
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// collect the native unhandled rejections emitted while fn runs,
+// waiting a bit for them to be reported
+function nativeUnhandledRejections(fn) {
+    var reasons = [];
+    var listener = function (reason) { reasons.push(reason); };
+    process.on("unhandledRejection", listener);
+
+    return Promise.resolve()
+        .then(fn)
+        .then(function () { return new Promise(function (resolve) { setTimeout(resolve, 20); }); })
+        .then(function () {
+            process.removeListener("unhandledRejection", listener);
+            return reasons;
+        });
+}
+
+test("await works with Promyses", async function () {
+    assert.strictEqual(await Promyse.resolve(1), 1);
+    assert.strictEqual(await delayed(5, 2), 2);
+
+    var error = new Error("rejected");
+    await assert.rejects(async function () { await Promyse.reject(error); }, function (reason) { return reason === error; });
+});
+
+test("Promise.all and Promise.race work with Promyses", function () {
+    return Promise.all([Promyse.resolve(1), delayed(10, 2), 3]).then(function (values) {
+        assert.deepStrictEqual(values, [1, 2, 3]);
+        return Promise.race([delayed(20, "slow"), delayed(5, "fast")]);
+    }).then(function (value) {
+        assert.strictEqual(value, "fast");
+    });
+});
+
+test("Promyse.all works with native Promises", function () {
+    return Promyse.all([Promise.resolve(1), new Promise(function (resolve) { setTimeout(resolve, 5, 2); })]).then(function (values) {
+        assert.deepStrictEqual(values, [1, 2]);
+    });
+});
+
+test("Promyse.from adopts a native Promise", function () {
+    var error = new Error("rejected");
+    var fulfilled = Promyse.from(Promise.resolve("native"));
+    var rejected = Promyse.from(Promise.reject(error));
+
+    assert.ok(fulfilled instanceof Promyse);
+    return fulfilled.then(function (value) {
+        assert.strictEqual(value, "native");
+        return rejected;
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
+
+test("adopting a rejected native Promise handles its rejection", function () {
+    return nativeUnhandledRejections(function () {
+        return Promyse.resolve(Promise.reject(new Error("adopted"))).catch(function () { });
+    }).then(function (reasons) {
+        assert.deepStrictEqual(reasons, []);
+    });
+});
+
+test("Promyse.from adopts a settled Promyse of another constructor right away", function () {
+    class SubPromyse extends Promyse { }
+    var error = new Error("rejected");
+    var rejected = Promyse.reject(error);
+
+    var fromFulfilled = SubPromyse.from(Promyse.resolve("value"));
+    var fromRejected = SubPromyse.from(rejected);
+
+    assert.ok(fromFulfilled instanceof SubPromyse);
+    assert.strictEqual(fromFulfilled.value(), "value");
+    assert.strictEqual(fromRejected.reason(), error);
+    fromRejected.catch(function () { });
+});
+
+test("Promyse.from returns a Promyse of the same constructor unchanged, and wraps values", function () {
+    var promyse = delayed(5, "pending");
+    assert.strictEqual(Promyse.from(promyse), promyse);
+
+    return Promyse.from(42).then(function (value) {
+        assert.strictEqual(value, 42);
+    });
+});
+
+test("toPromise returns a native Promise that settles like the Promyse", function () {
+    var error = new Error("rejected");
+    var fulfilled = delayed(5, "value").toPromise();
+    var rejected = Promyse.reject(error).toPromise();
+
+    assert.ok(fulfilled instanceof Promise);
+    assert.ok(rejected instanceof Promise);
+    return Promise.all([
+        fulfilled.then(function (value) {
+            assert.strictEqual(value, "value");
+        }),
+        rejected.then(shouldReject, function (reason) {
+            assert.strictEqual(reason, error);
+        }),
+    ]);
+});
+
+test("toPromise of a settled Promyse is settled right away", function () {
+    var log = [];
+    Promyse.resolve("promyse").toPromise().then(function (value) { log.push(value); });
+    Promise.resolve("native").then(function (value) { log.push(value); });
+
+    return new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+        assert.deepStrictEqual(log, ["promyse", "native"]);
+    });
+});
+
+test("toPromise hands the rejection over to the native Promise", function () {
+    var handled = [];
+    var unhandled = [];
+    Promyse.onUnhandledRejection = function (reason) { unhandled.push(reason); };
+
+    return nativeUnhandledRejections(function () {
+        var rejected = Promyse.reject(new Error("native"));
+        rejected.toPromise().catch(function (reason) { handled.push(reason); });
+    }).then(function (reasons) {
+        Promyse.onUnhandledRejection = null;
+        assert.deepStrictEqual(reasons, []);
+        assert.deepStrictEqual(unhandled, []);
+        assert.strictEqual(handled.length, 1);
+    });
+});
+
+test("toPromise throws a TypeError on a receiver that is not a Promyse", function () {
+    assert.throws(function () { Promyse.prototype.toPromise.call(Promise.resolve()); }, TypeError);
+});
@@ -0,0 +1,217 @@
+// Promyse.fromAsyncIterable and Promyse.stream
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, rejectedAfter, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// an async iterable that yields 0, 1, 2... up to count,
+// recording how many values were pulled and whether it was closed
+function counter(count) {
+    var iterable = {
+        pulled: 0,
+        closed: false,
+        [Symbol.asyncIterator]: function () {
+            return {
+                next: function () {
+                    if (iterable.pulled >= count) {
+                        return Promyse.resolve({ value: undefined, done: true });
+                    }
+                    return delayed(1, { value: iterable.pulled++, done: false });
+                },
+                return: function () {
+                    iterable.closed = true;
+                    return Promyse.resolve({ value: undefined, done: true });
+                },
+            };
+        },
+    };
+    return iterable;
+}
+
+test("fromAsyncIterable collects the values of an async iterable", function () {
+    return Promyse.fromAsyncIterable(counter(4)).then(function (values) {
+        assert.deepStrictEqual(values, [0, 1, 2, 3]);
+    });
+});
+
+test("fromAsyncIterable collects an async generator", function () {
+    async function* generate() {
+        yield 1;
+        yield delayed(5, 2);
+        yield 3;
+    }
+
+    return Promyse.fromAsyncIterable(generate()).then(function (values) {
+        assert.deepStrictEqual(values, [1, 2, 3]);
+    });
+});
+
+test("fromAsyncIterable resolves the values of a sync iterable in input order, with a concurrency", function () {
+    var inFlight = 0;
+    var maxInFlight = 0;
+    function tracked(ms, value) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return delayed(ms, value).then(function (v) { inFlight--; return v; });
+    }
+    function* generate() {
+        yield tracked(20, "a");
+        yield tracked(5, "b");
+        yield tracked(10, "c");
+    }
+
+    return Promyse.fromAsyncIterable(generate(), { concurrency: 2 }).then(function (values) {
+        assert.deepStrictEqual(values, ["a", "b", "c"]);
+        assert.strictEqual(maxInFlight, 2);
+    });
+});
+
+test("fromAsyncIterable stops after limit values, closing the iterator", function () {
+    var iterable = counter(Infinity);
+
+    return Promyse.fromAsyncIterable(iterable, { limit: 3 }).then(function (values) {
+        assert.deepStrictEqual(values, [0, 1, 2]);
+        assert.strictEqual(iterable.pulled, 3);
+        assert.ok(iterable.closed);
+    });
+});
+
+test("fromAsyncIterable rejects with the first failure, closing the iterator", function () {
+    var error = new Error("failed");
+    var closed = false;
+    var iterable = {
+        [Symbol.asyncIterator]: function () {
+            var i = 0;
+            return {
+                next: function () {
+                    i++;
+                    return i === 2 ? Promyse.reject(error) : Promyse.resolve({ value: i, done: false });
+                },
+                return: function () { closed = true; return {}; },
+            };
+        },
+    };
+
+    return Promyse.fromAsyncIterable(iterable).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        // a failing next has already ended the iterator
+        assert.strictEqual(closed, false);
+    });
+});
+
+test("fromAsyncIterable can be cancelled with a signal", function () {
+    var source = CancelToken.source();
+    var iterable = counter(Infinity);
+    var collected = Promyse.fromAsyncIterable(iterable, { signal: source.token });
+    setTimeout(source.cancel, 10);
+
+    return collected.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+        assert.ok(iterable.closed);
+    });
+});
+
+test("fromAsyncIterable throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.fromAsyncIterable(42); }, TypeError);
+    assert.throws(function () { Promyse.fromAsyncIterable([], { limit: -1 }); }, TypeError);
+    assert.throws(function () { Promyse.fromAsyncIterable([], { concurrency: 0 }); }, TypeError);
+});
+
+test("stream yields the values in settlement order", async function () {
+    var values = [];
+    for await (var value of Promyse.stream([delayed(30, "slow"), delayed(5, "fast"), "now", delayed(15, "medium")])) {
+        values.push(value);
+    }
+    assert.deepStrictEqual(values, ["now", "fast", "medium", "slow"]);
+});
+
+test("stream returns Promyses from next", function () {
+    var iterator = Promyse.stream([1]);
+    var step = iterator.next();
+
+    assert.ok(step instanceof Promyse);
+    assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    return step.then(function (result) {
+        assert.deepStrictEqual(result, { value: 1, done: false });
+        return iterator.next();
+    }).then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+    });
+});
+
+test("stream throws the first rejection into the loop and ends", async function () {
+    var error = new Error("failed");
+    var iterator = Promyse.stream([delayed(20, "late"), rejectedAfter(5, error), "first"]);
+    var values = [];
+
+    await assert.rejects(async function () {
+        for await (var value of iterator) {
+            values.push(value);
+        }
+    }, function (reason) { return reason === error; });
+
+    assert.deepStrictEqual(values, ["first"]);
+    assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+});
+
+test("stream is closed by return when the consumer breaks early", async function () {
+    var iterator = Promyse.stream([delayed(5, "a"), delayed(10, "b"), delayed(15, "c")]);
+    var returned = 0;
+    var originalReturn = iterator.return;
+    iterator.return = function (value) {
+        returned++;
+        return originalReturn.call(this, value);
+    };
+
+    var values = [];
+    for await (var value of iterator) {
+        values.push(value);
+        break;
+    }
+
+    assert.deepStrictEqual(values, ["a"]);
+    assert.strictEqual(returned, 1);
+
+    // the later outcomes are dropped
+    await delayed(20);
+    assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+});
+
+test("stream return ends the next calls still waiting", function () {
+    var iterator = Promyse.stream([delayed(50, "late")]);
+    var waiting = iterator.next();
+
+    return iterator.return("returned").then(function (result) {
+        assert.deepStrictEqual(result, { value: "returned", done: true });
+        return waiting;
+    }).then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+    });
+});
+
+test("stream of an empty iterable is done immediately", function () {
+    return Promyse.stream([]).next().then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+    });
+});
+
+test("stream rejects the waiting next calls when the signal is aborted", function () {
+    var source = CancelToken.source();
+    var iterator = Promyse.stream([delayed(50, "late")], source.token);
+    var waiting = iterator.next();
+    source.cancel();
+
+    return waiting.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+        return iterator.next();
+    }).then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+    });
+});
+
+test("stream throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.stream(42); }, TypeError);
+    assert.throws(function () { Promyse.stream([], {}); }, TypeError);
+});
@@ -0,0 +1,149 @@
+// LazyPromyse and Promyse.lazy
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, LazyPromyse, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// a LazyPromyse resolved with value after ms milliseconds,
+// recording how many times its executor was called
+function lazyDelayed(ms, value) {
+    var lazy = Promyse.lazy(function (resolve) {
+        lazy.started++;
+        setTimeout(resolve, ms, value);
+    });
+    lazy.started = 0;
+    return lazy;
+}
+
+test("the executor is not called until someone subscribes", function () {
+    var lazy = lazyDelayed(1, "value");
+
+    assert.ok(lazy instanceof LazyPromyse);
+    assert.ok(lazy instanceof Promyse);
+    assert.strictEqual(lazy.started, 0);
+    assert.ok(lazy.isPending());
+
+    return lazy.then(function (value) {
+        assert.strictEqual(value, "value");
+        assert.strictEqual(lazy.started, 1);
+    });
+});
+
+test("the executor is called synchronously by then, and only once", function () {
+    var lazy = lazyDelayed(1, "value");
+    var first = lazy.then();
+    assert.strictEqual(lazy.started, 1);
+
+    var second = lazy.then();
+    assert.strictEqual(lazy.started, 1);
+    return Promyse.all([first, second]).then(function (values) {
+        assert.deepStrictEqual(values, ["value", "value"]);
+        assert.strictEqual(lazy.started, 1);
+    });
+});
+
+test("catch, finally, await and toPromise start it too", async function () {
+    var caught = lazyDelayed(1);
+    caught.catch(function () { });
+    assert.strictEqual(caught.started, 1);
+
+    var finalized = lazyDelayed(1);
+    finalized.finally();
+    assert.strictEqual(finalized.started, 1);
+
+    var converted = lazyDelayed(1, "native");
+    var promise = converted.toPromise();
+    assert.strictEqual(converted.started, 1);
+    assert.strictEqual(await promise, "native");
+
+    assert.strictEqual(await lazyDelayed(1, "awaited"), "awaited");
+});
+
+test("inspection and progress handlers do not start it", function () {
+    var lazy = lazyDelayed(1);
+    lazy.isPending();
+    lazy.isFulfilled();
+    Promyse.inspect(lazy);
+    lazy.progress(function () { });
+
+    assert.strictEqual(lazy.started, 0);
+});
+
+test("the Promyses derived by then are plain ones", function () {
+    var derived = Promyse.lazy(function (resolve) { resolve(); }).then();
+
+    assert.strictEqual(derived.constructor, Promyse);
+    return derived;
+});
+
+test("a throwing executor rejects the LazyPromyse when it starts", function () {
+    var error = new Error("failed");
+    var lazy = Promyse.lazy(function () { throw error; });
+
+    assert.ok(lazy.isPending());
+    return lazy.then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
+
+test("a LazyPromyse cancelled before it starts never calls its executor", function () {
+    var source = CancelToken.source();
+    var called = false;
+    var lazy = Promyse.lazy(function () { called = true; }, source.token);
+    source.cancel();
+
+    return lazy.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+        assert.strictEqual(called, false);
+    });
+});
+
+test("Promyse.all and Promyse.race subscribe to their elements, starting them", function () {
+    var a = lazyDelayed(10, "a");
+    var b = lazyDelayed(5, "b");
+    var all = Promyse.all([a, b]);
+    var race = Promyse.race([lazyDelayed(10, "slow"), lazyDelayed(5, "fast")]);
+
+    return Promyse.all([all, race]).then(function (values) {
+        assert.deepStrictEqual(values, [["a", "b"], "fast"]);
+        assert.deepStrictEqual([a.started, b.started], [1, 1]);
+    });
+});
+
+test("LazyPromyse.all and LazyPromyse.race start their elements only when subscribed", function () {
+    var a = lazyDelayed(10, "a");
+    var b = lazyDelayed(5, "b");
+    var slow = lazyDelayed(10, "slow");
+    var fast = lazyDelayed(5, "fast");
+
+    var all = LazyPromyse.all([a, b]);
+    var race = LazyPromyse.race([slow, fast]);
+    assert.ok(all instanceof LazyPromyse);
+    assert.ok(race instanceof LazyPromyse);
+    assert.deepStrictEqual([a.started, b.started, slow.started, fast.started], [0, 0, 0, 0]);
+
+    return all.then(function (values) {
+        assert.deepStrictEqual(values, ["a", "b"]);
+        assert.strictEqual(slow.started, 0);
+        return race;
+    }).then(function (value) {
+        assert.strictEqual(value, "fast");
+        assert.deepStrictEqual([slow.started, fast.started], [1, 1]);
+    });
+});
+
+test("a Promyse resolved with a LazyPromyse starts it", function () {
+    var lazy = lazyDelayed(1, "adopted");
+
+    return Promyse.resolve(lazy).then(function (value) {
+        assert.strictEqual(value, "adopted");
+        assert.strictEqual(lazy.started, 1);
+    });
+});
+
+test("LazyPromyse throws a TypeError for an executor that is not a function", function () {
+    assert.throws(function () { Promyse.lazy(42); }, TypeError);
+    assert.throws(function () { new LazyPromyse(); }, TypeError);
+});
@@ -0,0 +1,85 @@
+// Opt-in long stack traces
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+
+// run fn with long stack traces enabled, disabling them afterwards
+function withLongStackTraces(options, fn) {
+    Promyse.config(Object.assign({ longStackTraces: true }, options));
+    return Promise.resolve()
+        .then(fn)
+        .finally(function () {
+            Promyse.config({ longStackTraces: false, longStackTracesDepth: 10 });
+        });
+}
+
+function occurrences(string, substring) {
+    return string.split(substring).length - 1;
+}
+
+test("are disabled by default", function () {
+    var error = new Error("boom");
+    var originalStack = error.stack;
+    return Promyse.resolve().then(function () { throw error; }).catch(function (reason) {
+        assert.strictEqual(reason.stack, originalStack);
+    });
+});
+
+test("stitch the sites where the chain was built onto Error reasons", function () {
+    return withLongStackTraces({}, function () {
+        function buildTheChain() {
+            return Promyse.resolve().then(function () { }).then(function () { throw new Error("boom"); });
+        }
+        return buildTheChain().catch(function (reason) {
+            assert.ok(reason.stack.indexOf("From previous event:") !== -1);
+            assert.ok(reason.stack.indexOf("buildTheChain") !== -1);
+        });
+    });
+});
+
+test("record the site of the constructor", function () {
+    return withLongStackTraces({}, function () {
+        function createTheRejectedOne() {
+            return new Promyse(function (_, reject) { setTimeout(reject, 1, new Error("late")); });
+        }
+        return createTheRejectedOne().catch(function (reason) {
+            assert.ok(reason.stack.indexOf("createTheRejectedOne") !== -1);
+        });
+    });
+});
+
+test("stitch each Error only once, while it is propagated", function () {
+    return withLongStackTraces({}, function () {
+        return Promyse.reject(new Error("boom")).then().then().catch(function (reason) {
+            assert.strictEqual(occurrences(reason.stack, "From previous event:"), 1);
+        });
+    });
+});
+
+test("keep at most the configured number of sites", function () {
+    return withLongStackTraces({ longStackTracesDepth: 3 }, function () {
+        var chain = Promyse.resolve();
+        for (var i = 0; i < 20; i++) {
+            chain = chain.then(function () { });
+        }
+        return chain.then(function () { throw new Error("deep"); }).catch(function (reason) {
+            assert.strictEqual(occurrences(reason.stack, "From previous event:"), 3);
+        });
+    });
+});
+
+test("leave reasons that are not Errors untouched", function () {
+    return withLongStackTraces({}, function () {
+        var reason = { stack: "not an Error" };
+        return Promyse.reject(reason).catch(function (r) {
+            assert.strictEqual(r.stack, "not an Error");
+        });
+    });
+});
+
+test("the depth must be a positive integer", function () {
+    assert.throws(function () { Promyse.config({ longStackTracesDepth: 0 }); }, TypeError);
+    assert.throws(function () { Promyse.config({ longStackTracesDepth: 1.5 }); }, TypeError);
+});
@@ -0,0 +1,203 @@
+// Promyse.memoize
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, shouldReject } = require(path.join(__dirname, "helpers.js"));
+var createFakeClock = require(path.join(__dirname, "fake_clock.js"));
+
+// a lookup that records the keys it was called with
+function createLookup() {
+    var lookup = function (id) {
+        lookup.calls.push(id);
+        return Promyse.resolve("user " + id);
+    };
+    lookup.calls = [];
+    return lookup;
+}
+
+test("concurrent callers with the same key share one pending Promyse", function () {
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(function (id) {
+        return delayed(5).then(function () { return lookup(id); });
+    });
+
+    var first = memoized(1);
+    var second = memoized(1);
+    var other = memoized(2);
+
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(first, other);
+    return Promyse.all([first, other]).then(function (values) {
+        assert.deepStrictEqual(values, ["user 1", "user 2"]);
+        assert.deepStrictEqual(lookup.calls, [1, 2]);
+    });
+});
+
+test("fulfilled results are reused", function () {
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(lookup);
+
+    return memoized(1).then(function () {
+        return memoized(1);
+    }).then(function (value) {
+        assert.strictEqual(value, "user 1");
+        assert.deepStrictEqual(lookup.calls, [1]);
+    });
+});
+
+test("rejections are evicted by default, and cached with cacheRejections", function () {
+    var calls = 0;
+    var error = new Error("failed");
+    function failing() {
+        calls++;
+        return Promyse.reject(error);
+    }
+    var memoized = Promyse.memoize(failing);
+    var cached = Promyse.memoize(failing, { cacheRejections: true });
+
+    return memoized("a").then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        return memoized("a");
+    }).then(shouldReject, function () {
+        assert.strictEqual(calls, 2);
+        return cached("a");
+    }).then(shouldReject, function () {
+        return cached("a");
+    }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.strictEqual(calls, 3);
+    });
+});
+
+test("a rejection is evicted as soon as it settles, without pushing out other results", function () {
+    var calls = [];
+    var memoized = Promyse.memoize(function (k) {
+        calls.push(k);
+        return k === "bad" ? Promyse.reject(new Error("failed")) : Promyse.resolve(k);
+    }, { maxSize: 2 });
+
+    memoized("a");
+    var bad = memoized("bad");
+
+    return bad.then(shouldReject, function () {
+        memoized("bad").catch(function () { });
+        return delayed(1);
+    }).then(function () {
+        memoized("b");
+        memoized("a");
+        assert.deepStrictEqual(calls, ["a", "bad", "bad", "b"]);
+    });
+});
+
+test("evicting a rejection does not count as handling it", function () {
+    var error = new Error("unhandled");
+    var unhandled = [];
+    Promyse.onUnhandledRejection = function (reason) { unhandled.push(reason); };
+
+    Promyse.memoize(function () { return delayed(1).then(function () { throw error; }); })();
+
+    return delayed(10).then(function () {
+        Promyse.onUnhandledRejection = null;
+        assert.deepStrictEqual(unhandled, [error]);
+    });
+});
+
+test("a throwing fn rejects the returned Promyse", function () {
+    var error = new Error("thrown");
+    var memoized = Promyse.memoize(function () { throw error; });
+
+    return memoized().then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
+
+test("results expire after the ttl, but pending calls are always shared", function () {
+    var clock = createFakeClock();
+    Promyse.setClock(clock);
+
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(lookup, { ttl: 100 });
+    var slow = Promyse.memoize(function () { return new Promyse(function () { }); }, { ttl: 100 });
+
+    var first = memoized(1);
+    var slowFirst = slow();
+
+    return first.then(function () {
+        clock.advance(99);
+        assert.strictEqual(memoized(1), first);
+        clock.advance(1);
+
+        assert.notStrictEqual(memoized(1), first);
+        assert.strictEqual(slow(), slowFirst);
+        assert.deepStrictEqual(lookup.calls, [1, 1]);
+    }).finally(function () {
+        Promyse.setClock(null);
+    });
+});
+
+test("the least recently used results are evicted beyond maxSize", function () {
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(lookup, { maxSize: 2 });
+
+    memoized(1);
+    memoized(2);
+    memoized(1);
+    memoized(3); // evicts 2
+    memoized(1);
+    memoized(2);
+
+    assert.deepStrictEqual(lookup.calls, [1, 2, 3, 2]);
+});
+
+test("the key option computes the key from the arguments", function () {
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(function (user) { return lookup(user.id); }, {
+        key: function (user) { return user.id; },
+    });
+
+    memoized({ id: 1 });
+    memoized({ id: 1 });
+
+    assert.deepStrictEqual(lookup.calls, [1]);
+});
+
+test("fn is called with the this of the memoized function", function () {
+    var service = {
+        prefix: "user ",
+        find: Promyse.memoize(function (id) { return Promyse.resolve(this.prefix + id); }),
+    };
+
+    return service.find(7).then(function (value) {
+        assert.strictEqual(value, "user 7");
+    });
+});
+
+test("clear and delete invalidate the cache", function () {
+    var lookup = createLookup();
+    var memoized = Promyse.memoize(lookup);
+
+    memoized(1);
+    memoized(2);
+    assert.strictEqual(memoized.delete(1), true);
+    assert.strictEqual(memoized.delete(1), false);
+    memoized(1);
+    memoized(2);
+    memoized.clear();
+    memoized(2);
+
+    assert.deepStrictEqual(lookup.calls, [1, 2, 1, 2]);
+});
+
+test("memoize builds its Promyses with the constructor it was called on", function () {
+    class SubPromyse extends Promyse { }
+    assert.ok(SubPromyse.memoize(function () { return 1; })() instanceof SubPromyse);
+});
+
+test("memoize throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.memoize(42); }, TypeError);
+    assert.throws(function () { Promyse.memoize(function () { }, { key: "id" }); }, TypeError);
+    assert.throws(function () { Promyse.memoize(function () { }, { ttl: -1 }); }, TypeError);
+    assert.throws(function () { Promyse.memoize(function () { }, { maxSize: 0 }); }, TypeError);
+});
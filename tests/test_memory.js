@@ -0,0 +1,32 @@
+// Memory safety of never settling Promyses
+
+var assert = require("assert");
+var path = require("path");
+var childProcess = require("child_process");
+var { test } = require(path.join(__dirname, "harness.js"));
+
+// a growth of a few MB is noise, a leak would be hundreds of them
+var MAX_HEAP_GROWTH = 8 * 1024 * 1024;
+
+test("abandoned pending chains are garbage collected", function () {
+    return new Promise(function (resolve, reject) {
+        childProcess.execFile(
+            process.execPath,
+            ["--expose-gc", path.join(__dirname, "gc", "abandoned_chains.js")],
+            { timeout: 60000 },
+            function (error, stdout) {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                var growth = Number(stdout.trim());
+                assert.ok(
+                    growth < MAX_HEAP_GROWTH,
+                    "The heap grew by " + Math.round(growth / 1024 / 1024) + "MB"
+                );
+                resolve();
+            }
+        );
+    });
+}, 60000);
@@ -0,0 +1,231 @@
+// progress notifications
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, CancelToken } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { flush } = require(path.join(__dirname, "helpers.js"));
+
+// a Promyse together with its resolving and notify functions
+function deferred() {
+    var d = {};
+    d.promyse = new Promyse(function (resolve, reject, notify) {
+        d.resolve = resolve;
+        d.reject = reject;
+        d.notify = notify;
+    });
+    return d;
+}
+
+test("the executor always gets a notify function, whatever its length", function () {
+    var args = null;
+    new Promyse(function () { args = arguments; });
+    assert.strictEqual(args.length, 3);
+    assert.strictEqual(typeof args[2], "function");
+
+    var notifications = [];
+    var noop = function () { };
+    var withDefault = new Promyse(function (resolve, reject, notify = noop) { setTimeout(notify, 1, "default"); });
+    var withRest = new Promyse(function (...rest) { setTimeout(rest[2], 1, "rest"); });
+    withDefault.progress(function (value) { notifications.push(value); });
+    withRest.progress(function (value) { notifications.push(value); });
+
+    return new Promise(function (resolve) { setTimeout(resolve, 10); }).then(function () {
+        assert.deepStrictEqual(notifications, ["default", "rest"]);
+    });
+});
+
+test("progress handlers are called asynchronously with each notification", function () {
+    var d = deferred();
+    var notifications = [];
+    var returned = d.promyse.progress(function (value) { notifications.push(value); });
+
+    assert.strictEqual(returned, d.promyse);
+    d.notify(0.5);
+    d.notify(1);
+    assert.deepStrictEqual(notifications, []);
+
+    return flush().then(function () {
+        assert.deepStrictEqual(notifications, [0.5, 1]);
+    });
+});
+
+test("notifications sent before settling are delivered, later ones are ignored", function () {
+    var d = deferred();
+    var notifications = [];
+    d.promyse.progress(function (value) { notifications.push(value); });
+
+    d.notify("before");
+    d.resolve("done");
+    d.notify("after");
+
+    return d.promyse.then(function (value) {
+        assert.strictEqual(value, "done");
+        assert.deepStrictEqual(notifications, ["before"]);
+    });
+});
+
+test("the third argument of then is a progress handler", function () {
+    var d = deferred();
+    var notifications = [];
+    var chained = d.promyse.then(null, null, function (value) { notifications.push(value); });
+
+    d.notify(10);
+    d.resolve(20);
+
+    return chained.then(function (value) {
+        assert.strictEqual(value, 20);
+        assert.deepStrictEqual(notifications, [10]);
+    });
+});
+
+test("then still accepts a signal as third argument, or as fourth after a progress handler", function () {
+    var source = CancelToken.source();
+    var d = deferred();
+    var notifications = [];
+    var first = d.promyse.then(null, null, source.token);
+    var second = d.promyse.then(null, null, function (value) { notifications.push(value); }, source.token);
+    first.catch(function () { });
+    second.catch(function () { });
+
+    source.cancel();
+    d.notify("ignored");
+
+    return flush().then(function () {
+        assert.ok(first.isRejected());
+        assert.ok(second.isRejected());
+        assert.deepStrictEqual(notifications, []);
+    });
+});
+
+test("a third argument of then that is neither a function nor a signal is ignored", function () {
+    return Promyse.resolve(1).then(function (x) { return x + 1; }, null, 123).then(function (value) {
+        assert.strictEqual(value, 2);
+        return Promyse.reject("reason").then(null, function (reason) { return reason; }, {});
+    }).then(function (value) {
+        assert.strictEqual(value, "reason");
+    });
+});
+
+test("notifications propagate through then chains", function () {
+    var d = deferred();
+    var notifications = [];
+    var chained = d.promyse
+        .then(function (x) { return x; })
+        .catch(function () { })
+        .progress(function (value) { notifications.push(value); });
+
+    d.notify(1);
+    d.notify(2);
+
+    return flush().then(function () {
+        assert.deepStrictEqual(notifications, [1, 2]);
+        d.resolve();
+        return chained;
+    });
+});
+
+test("notifications of a Promyse returned by a handler reach the derived one", function () {
+    var inner = deferred();
+    var notifications = [];
+    var chained = Promyse.resolve()
+        .then(function () { return inner.promyse; })
+        .progress(function (value) { notifications.push(value); });
+
+    return flush().then(function () {
+        inner.notify("inner");
+        inner.resolve("result");
+        return chained;
+    }).then(function (value) {
+        assert.strictEqual(value, "result");
+        assert.deepStrictEqual(notifications, ["inner"]);
+    });
+});
+
+test("a throwing progress handler does not change any state", function () {
+    var d = deferred();
+    var called = false;
+    var errors = [];
+    var listeners = process.listeners("uncaughtException");
+    process.removeAllListeners("uncaughtException");
+    process.on("uncaughtException", function (e) { errors.push(e); });
+
+    d.promyse.progress(function () { throw new Error("progress handler"); });
+    d.promyse.progress(function () { called = true; });
+    d.notify(1);
+
+    // the error is rethrown in a later timer
+    return flush().then(flush).then(function () {
+        process.removeAllListeners("uncaughtException");
+        listeners.forEach(function (listener) { process.on("uncaughtException", listener); });
+
+        assert.ok(called);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(d.promyse.isPending());
+    });
+});
+
+test("Promyse.all combines the progress of its elements", function () {
+    var a = deferred();
+    var b = deferred();
+    var notifications = [];
+    var all = Promyse.all([a.promyse, b.promyse, 3])
+        .progress(function (value) { notifications.push(value); });
+
+    return flush().then(function () {
+        a.notify(0.5);
+        return flush();
+    }).then(function () {
+        a.resolve("a");
+        return flush();
+    }).then(function () {
+        b.resolve("b");
+        return all;
+    }).then(function (values) {
+        assert.deepStrictEqual(values, ["a", "b", 3]);
+        assert.deepStrictEqual(notifications, [
+            { settled: 1, total: 3, progress: [0.5, undefined, undefined] },
+            { settled: 2, total: 3, progress: [0.5, undefined, undefined] },
+            { settled: 3, total: 3, progress: [0.5, undefined, undefined] },
+        ]);
+    });
+});
+
+test("Promyse.all reports nothing if no element notifies", function () {
+    var notifications = [];
+    return Promyse.all([1, Promyse.resolve(2)])
+        .progress(function (value) { notifications.push(value); })
+        .then(function () {
+            assert.deepStrictEqual(notifications, []);
+        });
+});
+
+test("Promyse.allSettled combines the progress of its elements", function () {
+    var a = deferred();
+    var b = deferred();
+    var notifications = [];
+    var allSettled = Promyse.allSettled([a.promyse, b.promyse])
+        .progress(function (value) { notifications.push(value); });
+
+    a.notify("half");
+    b.notify("started");
+
+    return flush().then(function () {
+        a.reject("failed");
+        b.resolve("b");
+        return allSettled;
+    }).then(function (results) {
+        assert.strictEqual(results.length, 2);
+        assert.deepStrictEqual(notifications, [
+            { settled: 0, total: 2, progress: ["half", undefined] },
+            { settled: 0, total: 2, progress: ["half", "started"] },
+            { settled: 1, total: 2, progress: ["half", "started"] },
+            { settled: 2, total: 2, progress: ["half", "started"] },
+        ]);
+    });
+});
+
+test("progress throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.resolve().progress("handler"); }, TypeError);
+    assert.throws(function () { Promyse.prototype.progress.call({}, function () { }); }, TypeError);
+});
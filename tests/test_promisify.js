@@ -0,0 +1,218 @@
+// Promyse.promisify, Promyse.promisifyAll and Promyse.callbackify
+
+var assert = require("assert");
+var path = require("path");
+var util = require("util");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+// a stand-in for fs, with Node-style asynchronous functions
+function createFs() {
+    var files = { "a.txt": "content of a" };
+
+    return {
+        files: files,
+        readFile: function (name, encoding, callback) {
+            setTimeout(function () {
+                if (!(name in files)) {
+                    var error = new Error("ENOENT: no such file, open '" + name + "'");
+                    error.code = "ENOENT";
+                    callback(error);
+                    return;
+                }
+                callback(null, encoding === "utf8" ? files[name] : Buffer.from(files[name]));
+            }, 0);
+        },
+        writeFile: function (name, data, callback) {
+            setTimeout(function () {
+                files[name] = data;
+                callback(null);
+            }, 0);
+        },
+        // like fs.read, calls back with more than one result
+        read: function (name, length, callback) {
+            setTimeout(function () {
+                var data = files[name].slice(0, length);
+                callback(null, data.length, data);
+            }, 0);
+        },
+    };
+}
+
+test("promisify resolves with the result of the callback", function () {
+    var fs = createFs();
+    var readFile = Promyse.promisify(fs.readFile);
+    var read = readFile("a.txt", "utf8");
+
+    assert.ok(read instanceof Promyse);
+    return read.then(function (content) {
+        assert.strictEqual(content, "content of a");
+    });
+});
+
+test("promisify rejects with the error of the callback", function () {
+    var fs = createFs();
+    var readFile = Promyse.promisify(fs.readFile);
+
+    return readFile("missing.txt", "utf8").then(shouldReject, function (error) {
+        assert.strictEqual(error.code, "ENOENT");
+    });
+});
+
+test("promisify rejects when the function throws", function () {
+    var error = new Error("thrown");
+    var throwing = Promyse.promisify(function () { throw error; });
+
+    return throwing().then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
+
+test("promisify resolves with every result when multiArgs is set", function () {
+    var fs = createFs();
+    var read = Promyse.promisify(fs.read, { multiArgs: true });
+
+    return read("a.txt", 7).then(function (results) {
+        assert.deepStrictEqual(results, [7, "content"]);
+    });
+});
+
+test("promisify calls the function with the given context or with the this of the call", function () {
+    var receivers = [];
+    function fn(callback) {
+        receivers.push(this);
+        callback(null);
+    }
+    var context = {};
+    var obj = { method: Promyse.promisify(fn) };
+
+    return Promyse.all([Promyse.promisify(fn, { context: context })(), obj.method()]).then(function () {
+        assert.strictEqual(receivers[0], context);
+        assert.strictEqual(receivers[1], obj);
+    });
+});
+
+test("promisify honours the util.promisify.custom symbol", function () {
+    function fn() { }
+    function custom() { return Promyse.resolve("custom"); }
+    fn[util.promisify.custom] = custom;
+
+    assert.strictEqual(Promyse.promisify.custom, util.promisify.custom);
+    assert.strictEqual(Promyse.promisify(fn), custom);
+
+    // and gives back the same function when promisifying it again
+    var promisified = Promyse.promisify(function () { });
+    assert.strictEqual(Promyse.promisify(promisified), promisified);
+});
+
+test("promisify throws a TypeError for invalid arguments", function () {
+    assert.throws(function () { Promyse.promisify(null); }, TypeError);
+
+    function fn() { }
+    fn[Promyse.promisify.custom] = "not a function";
+    assert.throws(function () { Promyse.promisify(fn); }, TypeError);
+});
+
+test("promisifyAll adds a promisified version of each method", function () {
+    var fs = Promyse.promisifyAll(createFs());
+
+    assert.strictEqual(typeof fs.readFileAsync, "function");
+    assert.strictEqual(typeof fs.writeFileAsync, "function");
+    assert.strictEqual(fs.filesAsync, undefined);
+
+    return fs.writeFileAsync("b.txt", "content of b").then(function () {
+        return fs.readFileAsync("b.txt", "utf8");
+    }).then(function (content) {
+        assert.strictEqual(content, "content of b");
+    });
+});
+
+test("promisifyAll promisifies inherited methods, keeping the this of the call", function () {
+    function Store() { this.items = []; }
+    Store.prototype.add = function (item, callback) {
+        this.items.push(item);
+        callback(null, this.items.length);
+    };
+
+    var store = new Store();
+    Promyse.promisifyAll(Store.prototype, { suffix: "P" });
+
+    return store.addP("item").then(function (count) {
+        assert.strictEqual(count, 1);
+        assert.deepStrictEqual(store.items, ["item"]);
+    });
+});
+
+test("promisifyAll does not overwrite existing properties nor call getters", function () {
+    var getterCalls = 0;
+    var obj = {
+        method: function (callback) { callback(null); },
+        methodAsync: "existing",
+        get accessor() { getterCalls++; return function () { }; },
+    };
+    Promyse.promisifyAll(obj);
+
+    assert.strictEqual(obj.methodAsync, "existing");
+    assert.strictEqual(obj.accessorAsync, undefined);
+    assert.strictEqual(getterCalls, 0);
+});
+
+test("callbackify passes the value to the callback", function () {
+    var fn = Promyse.callbackify(function (a, b) { return Promyse.resolve(a + b); });
+
+    return new Promise(function (resolve) {
+        fn(1, 2, function (err, value) {
+            assert.strictEqual(err, null);
+            assert.strictEqual(value, 3);
+            resolve();
+        });
+    });
+});
+
+test("callbackify passes the reason, or the error thrown, to the callback", function () {
+    var error = new Error("rejected");
+    var rejecting = Promyse.callbackify(function () { return Promyse.reject(error); });
+    var throwing = Promyse.callbackify(function () { throw error; });
+
+    return Promise.all([rejecting, throwing].map(function (fn) {
+        return new Promise(function (resolve) {
+            fn(function (err) {
+                assert.strictEqual(err, error);
+                resolve();
+            });
+        });
+    }));
+});
+
+test("callbackify wraps falsy reasons into an Error", function () {
+    var reasons = [null, undefined, 0, "", false];
+
+    return Promise.all(reasons.map(function (reason) {
+        var fn = Promyse.callbackify(function () { return Promyse.reject(reason); });
+        return new Promise(function (resolve) {
+            fn(function (err) {
+                assert.ok(err instanceof Error);
+                assert.strictEqual(err.code, "ERR_FALSY_VALUE_REJECTION");
+                assert.strictEqual(err.reason, reason);
+                resolve();
+            });
+        });
+    }));
+});
+
+test("callbackify round trips with promisify", function () {
+    var fs = createFs();
+    var readFile = Promyse.promisify(Promyse.callbackify(Promyse.promisify(fs.readFile)));
+
+    return readFile("a.txt", "utf8").then(function (content) {
+        assert.strictEqual(content, "content of a");
+    });
+});
+
+test("callbackify throws a TypeError without a callback", function () {
+    assert.throws(function () { Promyse.callbackify(null); }, TypeError);
+
+    var fn = Promyse.callbackify(function () { });
+    assert.throws(function () { fn("not a callback"); }, TypeError);
+});
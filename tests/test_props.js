@@ -0,0 +1,96 @@
+// Promyse.props and Promyse.allSettledProps
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, rejectedAfter, shouldReject } = require(path.join(__dirname, "helpers.js"));
+
+test("props resolves with an object with the same keys", function () {
+    var props = Promyse.props({
+        user: delayed(10, "ada"),
+        posts: Promyse.resolve([1, 2]),
+        count: 3,
+        thenable: { then: function (resolve) { resolve("adopted"); } },
+    });
+
+    assert.ok(props instanceof Promyse);
+    return props.then(function (result) {
+        assert.deepStrictEqual(result, { user: "ada", posts: [1, 2], count: 3, thenable: "adopted" });
+        assert.deepStrictEqual(Object.keys(result), ["user", "posts", "count", "thenable"]);
+    });
+});
+
+test("props of a Map resolves with a Map", function () {
+    var key = {};
+    var input = new Map([[key, delayed(5, "object key")], ["b", 2]]);
+
+    return Promyse.props(input).then(function (result) {
+        assert.ok(result instanceof Map);
+        assert.deepStrictEqual(Array.from(result.entries()), [[key, "object key"], ["b", 2]]);
+    });
+});
+
+test("props rejects as soon as a value rejects", function () {
+    var error = new Error("failed");
+    var start = Date.now();
+
+    return Promyse.props({ slow: delayed(200, "slow"), failing: rejectedAfter(5, error) }).then(shouldReject, function (reason) {
+        assert.strictEqual(reason, error);
+        assert.ok(Date.now() - start < 150);
+    });
+});
+
+test("props of an empty object resolves with an empty object", function () {
+    return Promyse.props({}).then(function (result) {
+        assert.deepStrictEqual(result, {});
+    });
+});
+
+test("props ignores inherited and non-enumerable properties", function () {
+    var input = Object.create({ inherited: 1 });
+    Object.defineProperty(input, "hidden", { value: 2, enumerable: false });
+    input.own = 3;
+
+    return Promyse.props(input).then(function (result) {
+        assert.deepStrictEqual(result, { own: 3 });
+    });
+});
+
+test("allSettledProps resolves with the records under the same keys", function () {
+    var error = new Error("failed");
+
+    return Promyse.allSettledProps({ ok: delayed(5, "value"), ko: Promyse.reject(error) }).then(function (result) {
+        assert.deepStrictEqual(result, {
+            ok: { status: "fulfilled", value: "value" },
+            ko: { status: "rejected", reason: error },
+        });
+    });
+});
+
+test("allSettledProps of a Map resolves with a Map", function () {
+    return Promyse.allSettledProps(new Map([["a", 1], ["b", Promyse.reject("no")]])).then(function (result) {
+        assert.ok(result instanceof Map);
+        assert.deepStrictEqual(result.get("a"), { status: "fulfilled", value: 1 });
+        assert.deepStrictEqual(result.get("b"), { status: "rejected", reason: "no" });
+    });
+});
+
+test("props honours subclasses and signals", function () {
+    class SubPromyse extends Promyse { }
+    var source = CancelToken.source();
+    var props = SubPromyse.props({ a: delayed(50, 1) }, source.token);
+
+    assert.ok(props instanceof SubPromyse);
+    source.cancel();
+    return props.then(shouldReject, function (reason) {
+        assert.ok(reason instanceof CancellationError);
+    });
+});
+
+test("props and allSettledProps throw a TypeError when the argument is not an object", function () {
+    [undefined, null, 1, "string"].forEach(function (input) {
+        assert.throws(function () { Promyse.props(input); }, TypeError);
+        assert.throws(function () { Promyse.allSettledProps(input); }, TypeError);
+    });
+});
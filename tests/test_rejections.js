@@ -0,0 +1,121 @@
+// tracking of unhandled rejections
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { flush } = require(path.join(__dirname, "helpers.js"));
+
+// record the reports of the hooks while fn runs, waiting for them to be done
+function withHooks(fn) {
+    var log = { unhandled: [], handled: [] };
+    Promyse.onUnhandledRejection = function (reason, promyse) { log.unhandled.push([reason, promyse]); };
+    Promyse.onRejectionHandled = function (promyse) { log.handled.push(promyse); };
+
+    return Promise.resolve()
+        .then(function () { return fn(log); })
+        .then(flush)
+        .finally(function () {
+            Promyse.onUnhandledRejection = null;
+            Promyse.onRejectionHandled = null;
+        })
+        .then(function () { return log; });
+}
+
+test("a rejection without handlers is reported once the job queue is drained", function () {
+    var error = new Error("unhandled");
+    var rejected;
+
+    return withHooks(function (log) {
+        rejected = Promyse.reject(error);
+        assert.deepStrictEqual(log.unhandled, []);
+    }).then(function (log) {
+        assert.deepStrictEqual(log.unhandled, [[error, rejected]]);
+        assert.deepStrictEqual(log.handled, []);
+    });
+});
+
+test("a rejection handled in time is not reported", function () {
+    return withHooks(function () {
+        Promyse.reject(new Error("handled synchronously")).catch(function () { });
+
+        var later = Promyse.reject(new Error("handled by a job"));
+        Promyse.resolve().then(function () {
+            later.catch(function () { });
+        });
+    }).then(function (log) {
+        assert.deepStrictEqual(log.unhandled, []);
+    });
+});
+
+test("only the end of a rejected chain is reported", function () {
+    var error = new Error("propagated");
+    var tail;
+
+    return withHooks(function () {
+        tail = Promyse.reject(error).then(function () { }).then(function () { });
+    }).then(function (log) {
+        assert.deepStrictEqual(log.unhandled, [[error, tail]]);
+    });
+});
+
+test("a rejection handled after being reported is reported as handled", function () {
+    var rejected;
+
+    return withHooks(function () {
+        rejected = Promyse.reject(new Error("late"));
+    }).then(function (log) {
+        assert.strictEqual(log.unhandled.length, 1);
+
+        return withHooks(function () {
+            rejected.catch(function () { });
+            // handling it again does not report anything else
+            rejected.catch(function () { });
+        });
+    }).then(function (log) {
+        assert.deepStrictEqual(log.unhandled, []);
+        assert.deepStrictEqual(log.handled, [rejected]);
+    });
+});
+
+test("the reports are forwarded to the process when asked to", function () {
+    var events = [];
+    var onUnhandled = function (reason, promyse) { events.push(["unhandledRejection", reason, promyse]); };
+    var onHandled = function (promyse) { events.push(["rejectionHandled", promyse]); };
+    process.on("unhandledRejection", onUnhandled);
+    process.on("rejectionHandled", onHandled);
+    Promyse.config({ forwardUnhandledRejections: true });
+
+    var error = new Error("forwarded");
+    var rejected = Promyse.reject(error);
+
+    return flush().then(function () {
+        rejected.catch(function () { });
+        return flush();
+    }).finally(function () {
+        Promyse.config({ forwardUnhandledRejections: false });
+        process.removeListener("unhandledRejection", onUnhandled);
+        process.removeListener("rejectionHandled", onHandled);
+    }).then(function () {
+        assert.deepStrictEqual(events, [
+            ["unhandledRejection", error, rejected],
+            ["rejectionHandled", rejected],
+        ]);
+    });
+});
+
+test("nothing is forwarded by default", function () {
+    var events = [];
+    var listener = function (reason) { events.push(reason); };
+    process.on("unhandledRejection", listener);
+
+    Promyse.onUnhandledRejection = function () { };
+    Promyse.reject(new Error("not forwarded"));
+
+    return flush().finally(function () {
+        Promyse.onUnhandledRejection = null;
+        process.removeListener("unhandledRejection", listener);
+    }).then(function () {
+        assert.deepStrictEqual(events, []);
+    });
+});
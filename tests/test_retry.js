@@ -0,0 +1,215 @@
+// Promyse.retry
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, AggregateError, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { flush } = require(path.join(__dirname, "helpers.js"));
+var createFakeClock = require(path.join(__dirname, "fake_clock.js"));
+
+// a function that fails the first n times
+function failing(n) {
+    var fn = function (attempt) {
+        fn.calls++;
+        if (attempt <= n) {
+            throw new Error("attempt " + attempt);
+        }
+        return "attempt " + attempt;
+    };
+    fn.calls = 0;
+    return fn;
+}
+
+test("resolves with the result of the first successful attempt", function () {
+    var clock = createFakeClock();
+    var fn = failing(2);
+    var retried = Promyse.retry(fn, { clock: clock, minTimeout: 10 });
+
+    return flush().then(function () {
+        clock.advance(10);
+        return flush();
+    }).then(function () {
+        clock.advance(20);
+        return retried;
+    }).then(function (value) {
+        assert.strictEqual(value, "attempt 3");
+        assert.strictEqual(fn.calls, 3);
+    });
+});
+
+test("waits an exponentially growing time, bounded by maxTimeout", function () {
+    var clock = createFakeClock();
+    var waits = [];
+    var retried = Promyse.retry(failing(Infinity), {
+        clock: clock,
+        retries: 4,
+        factor: 3,
+        minTimeout: 10,
+        maxTimeout: 200,
+        onRetry: function (error, attempt, wait) { waits.push(wait); },
+    });
+    retried.catch(function () { });
+
+    function step() {
+        return flush().then(function () { clock.advance(1000); });
+    }
+
+    return step().then(step).then(step).then(step).then(flush).then(function () {
+        assert.deepStrictEqual(waits, [10, 30, 90, 200]);
+    });
+});
+
+test("after many attempts, the wait stays at the longest delay of a host timer", function () {
+    var clock = createFakeClock();
+    var waits = [];
+    var retried = Promyse.retry(failing(Infinity), {
+        clock: clock,
+        retries: 40,
+        factor: 10,
+        minTimeout: 1,
+        onRetry: function (error, attempt, wait) { waits.push(wait); },
+    });
+    retried.catch(function () { });
+
+    var steps = flush();
+    for (var i = 0; i < 40; i++) {
+        steps = steps.then(function () { clock.advance(Math.pow(2, 31)); return flush(); });
+    }
+
+    return steps.then(function () {
+        assert.strictEqual(waits.length, 40);
+        assert.deepStrictEqual(waits.slice(0, 3), [1, 10, 100]);
+        // 10^39 would be far past it
+        assert.strictEqual(waits[39], Math.pow(2, 31) - 1);
+        assert.ok(waits.every(function (wait) { return wait <= Math.pow(2, 31) - 1; }));
+    });
+});
+
+test("does not call fn again before the wait is over", function () {
+    var clock = createFakeClock();
+    var fn = failing(Infinity);
+    Promyse.retry(fn, { clock: clock, retries: 1, minTimeout: 100 }).catch(function () { });
+
+    return flush().then(function () {
+        clock.advance(99);
+        return flush();
+    }).then(function () {
+        assert.strictEqual(fn.calls, 1);
+        clock.advance(1);
+        return flush();
+    }).then(function () {
+        assert.strictEqual(fn.calls, 2);
+    });
+});
+
+test("with jitter, the waits are between 0 and the computed ones", function () {
+    var clock = createFakeClock();
+    var waits = [];
+    var retried = Promyse.retry(failing(Infinity), {
+        clock: clock,
+        retries: 3,
+        minTimeout: 100,
+        jitter: true,
+        onRetry: function (error, attempt, wait) { waits.push(wait); },
+    });
+    retried.catch(function () { });
+
+    function step() {
+        return flush().then(function () { clock.advance(1000); });
+    }
+
+    return step().then(step).then(step).then(flush).then(function () {
+        assert.strictEqual(waits.length, 3);
+        [100, 200, 400].forEach(function (max, idx) {
+            assert.ok(waits[idx] >= 0 && waits[idx] <= max);
+        });
+    });
+});
+
+test("rejects with an AggregateError of every attempt error when giving up", function () {
+    var clock = createFakeClock();
+    var retried = Promyse.retry(failing(Infinity), { clock: clock, retries: 2, minTimeout: 0 });
+
+    function step() {
+        return flush().then(function () { clock.advance(0); });
+    }
+
+    return step().then(step).then(step).then(function () {
+        return retried.then(
+            function () { assert.fail("should have been rejected"); },
+            function (error) {
+                assert.ok(error instanceof AggregateError);
+                assert.deepStrictEqual(error.errors.map(function (e) { return e.message; }), ["attempt 1", "attempt 2", "attempt 3"]);
+            }
+        );
+    });
+});
+
+test("stops as soon as shouldRetry returns false", function () {
+    var fn = failing(Infinity);
+    return Promyse.retry(fn, {
+        shouldRetry: function (error, attempt) { return attempt < 2; },
+        minTimeout: 0,
+    }).then(
+        function () { assert.fail("should have been rejected"); },
+        function (error) {
+            assert.strictEqual(fn.calls, 2);
+            assert.strictEqual(error.errors.length, 2);
+        }
+    );
+});
+
+test("honours the signal between attempts, clearing the timer", function () {
+    var clock = createFakeClock();
+    var source = CancelToken.source();
+    var fn = failing(Infinity);
+    var retried = Promyse.retry(fn, { clock: clock, minTimeout: 100, signal: source.token });
+
+    return flush().then(function () {
+        assert.strictEqual(clock.pending, 1);
+        source.cancel();
+        assert.strictEqual(clock.pending, 0);
+        return retried.then(
+            function () { assert.fail("should have been rejected"); },
+            function (error) {
+                assert.ok(error instanceof CancellationError);
+                assert.strictEqual(fn.calls, 1);
+            }
+        );
+    });
+});
+
+test("passes the attempt number and the signal to fn", function () {
+    var source = CancelToken.source();
+    var received = null;
+    return Promyse.retry(function (attempt, signal) {
+        received = [attempt, signal];
+        return "done";
+    }, { signal: source.token }).then(function () {
+        assert.deepStrictEqual(received, [1, source.token]);
+    });
+});
+
+test("uses the global clock by default", function () {
+    var clock = createFakeClock();
+    Promyse.setClock(clock);
+    var fn = failing(1);
+    var retried = Promyse.retry(fn, { minTimeout: 50 });
+
+    return flush().then(function () {
+        clock.advance(50);
+        return retried;
+    }).then(function (value) {
+        assert.strictEqual(value, "attempt 2");
+    }).finally(function () {
+        Promyse.setClock(null);
+    });
+});
+
+test("throws a TypeError for invalid options", function () {
+    assert.throws(function () { Promyse.retry(null); }, TypeError);
+    assert.throws(function () { Promyse.retry(function () { }, { retries: -1 }); }, TypeError);
+    assert.throws(function () { Promyse.retry(function () { }, { factor: 0.5 }); }, TypeError);
+    assert.throws(function () { Promyse.retry(function () { }, { minTimeout: 10, maxTimeout: 5 }); }, TypeError);
+    assert.throws(function () { Promyse.retry(function () { }, { clock: {} }); }, TypeError);
+});
@@ -0,0 +1,134 @@
+// Promyse.setScheduler and the job queue
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { flush } = require(path.join(__dirname, "helpers.js"));
+
+// run fn with the given scheduler, restoring the default one afterwards
+function withScheduler(scheduler, fn) {
+    Promyse.setScheduler(scheduler);
+    return Promise.resolve()
+        .then(fn)
+        .finally(function () { Promyse.setScheduler(null); });
+}
+
+// a scheduler that keeps the flushes, so that the test decides when to run them
+function manualScheduler() {
+    var scheduler = function (cb) { scheduler.flushes.push(cb); };
+    scheduler.flushes = [];
+    scheduler.runAll = function () {
+        var toBeCalled = scheduler.flushes;
+        scheduler.flushes = [];
+        toBeCalled.forEach(function (cb) { cb(); });
+    };
+    return scheduler;
+}
+
+test("a built-in scheduler can be chosen by its name", function () {
+    var log = [];
+
+    return withScheduler("setTimeout", function () {
+        Promyse.resolve().then(function () { log.push("promyse"); });
+        Promise.resolve().then(function () { log.push("native"); });
+        setImmediate(function () { log.push("immediate"); });
+        return new Promise(function (resolve) { setTimeout(resolve, 5); });
+    }).then(function () {
+        // a macrotask runs after the native microtasks
+        assert.deepStrictEqual(log.slice(0, 1), ["native"]);
+        assert.ok(log.indexOf("promyse") !== -1);
+
+        log = [];
+        return withScheduler("nextTick", function () {
+            // from a macrotask, where no microtask is running
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    Promise.resolve().then(function () { log.push("native"); });
+                    Promyse.resolve().then(function () { log.push("promyse"); });
+                    resolve(flush());
+                }, 0);
+            });
+        });
+    }).then(function () {
+        // the nextTick queue is drained before the microtask one
+        assert.deepStrictEqual(log, ["promyse", "native"]);
+    });
+});
+
+test("setScheduler throws a TypeError for unknown or unsupported schedulers", function () {
+    assert.throws(function () { Promyse.setScheduler("nope"); }, /Unknown scheduler 'nope'/);
+    // there is no DOM in Node.js
+    assert.throws(function () { Promyse.setScheduler("mutationObserver"); }, /not supported/);
+    assert.throws(function () { Promyse.setScheduler(42); }, TypeError);
+});
+
+test("the queued jobs are drained in a single flush", function () {
+    var scheduler = manualScheduler();
+    var log = [];
+
+    return withScheduler(scheduler, function () {
+        Promyse.resolve(1).then(function (value) { log.push(value); });
+        Promyse.resolve(2).then(function (value) {
+            log.push(value);
+            // jobs enqueued while flushing are run by the same flush
+            return Promyse.resolve(3);
+        }).then(function (value) { log.push(value); });
+
+        assert.strictEqual(scheduler.flushes.length, 1);
+        scheduler.runAll();
+        assert.deepStrictEqual(log, [1, 2, 3]);
+        assert.strictEqual(scheduler.flushes.length, 0);
+
+        // the next job asks for a new flush
+        Promyse.resolve(4).then(function (value) { log.push(value); });
+        assert.strictEqual(scheduler.flushes.length, 1);
+        scheduler.runAll();
+        assert.deepStrictEqual(log, [1, 2, 3, 4]);
+    });
+});
+
+test("a flush still pending is requested again to the new scheduler", function () {
+    var stuck = manualScheduler();
+    var manual = manualScheduler();
+    var ran = false;
+
+    return withScheduler(stuck, function () {
+        Promyse.resolve().then(function () { ran = true; });
+        Promyse.setScheduler(manual);
+        assert.strictEqual(manual.flushes.length, 1);
+
+        // the flush requested to the previous scheduler does nothing anymore
+        stuck.runAll();
+        assert.strictEqual(ran, false);
+        manual.runAll();
+        assert.strictEqual(ran, true);
+    });
+});
+
+test("a throwing scheduler does not leave the job queue stuck", function () {
+    var error = new Error("scheduler failed");
+    var uncaught = [];
+    var listeners = process.listeners("uncaughtException");
+    process.removeAllListeners("uncaughtException");
+    process.on("uncaughtException", function (e) { uncaught.push(e); });
+
+    var calls = 0;
+    var log = [];
+    return withScheduler(function () { calls++; throw error; }, function () {
+        Promyse.resolve(1).then(function (value) { log.push(value); });
+        return new Promise(function (resolve) { setTimeout(resolve, 5); }).then(function () {
+            Promyse.resolve(2).then(function (value) { log.push(value); });
+            return new Promise(function (resolve) { setTimeout(resolve, 5); });
+        });
+    }).then(function () {
+        process.removeAllListeners("uncaughtException");
+        listeners.forEach(function (listener) { process.on("uncaughtException", listener); });
+
+        // every request was made to the failing scheduler first, and reported
+        assert.ok(calls >= 2);
+        assert.deepStrictEqual(log, [1, 2]);
+        assert.strictEqual(uncaught.length, calls);
+        uncaught.forEach(function (e) { assert.strictEqual(e, error); });
+    });
+});
@@ -0,0 +1,74 @@
+// Subclassing support of Promyse and semantics of Promyse.resolve and Promyse.reject
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+
+class TimedPromyse extends Promyse {
+    constructor(executor, signal) {
+        super(executor, signal);
+        this.createdAt = Date.now();
+    }
+}
+
+test("then, catch and finally return instances of the subclass", function () {
+    var timed = TimedPromyse.resolve(1);
+    assert.ok(timed.then() instanceof TimedPromyse);
+    assert.ok(timed.catch() instanceof TimedPromyse);
+    assert.ok(timed.finally() instanceof TimedPromyse);
+    assert.strictEqual(typeof timed.then().createdAt, "number");
+});
+
+test("the static utilities return instances of the subclass", function () {
+    [
+        TimedPromyse.resolve(1),
+        TimedPromyse.all([1]),
+        TimedPromyse.race([1]),
+        TimedPromyse.any([1]),
+        TimedPromyse.allSettled([1]),
+    ].forEach(function (promyse) {
+        assert.ok(promyse instanceof TimedPromyse);
+    });
+
+    var rejected = TimedPromyse.reject(1);
+    rejected.catch(function () { });
+    assert.ok(rejected instanceof TimedPromyse);
+});
+
+test("Symbol.species can redirect derived Promyses to the base class", function () {
+    class PlainDerived extends Promyse {
+        static get [Symbol.species]() {
+            return Promyse;
+        }
+    }
+    var derived = PlainDerived.resolve(1).then();
+    assert.ok(derived instanceof Promyse);
+    assert.ok(!(derived instanceof PlainDerived));
+});
+
+test("Promyse.reject always wraps its argument", function () {
+    var fulfilled = Promyse.resolve(1);
+    var rejected = Promyse.reject(fulfilled);
+    assert.notStrictEqual(rejected, fulfilled);
+    return rejected.then(
+        function () { assert.fail("should have been rejected"); },
+        function (reason) { assert.strictEqual(reason, fulfilled); }
+    );
+});
+
+test("Promyse.resolve returns its argument only when built by the same constructor", function () {
+    var base = Promyse.resolve(1);
+    var timed = TimedPromyse.resolve(1);
+    assert.strictEqual(Promyse.resolve(base), base);
+    assert.strictEqual(TimedPromyse.resolve(timed), timed);
+    assert.notStrictEqual(Promyse.resolve(timed), timed);
+    assert.notStrictEqual(TimedPromyse.resolve(base), base);
+    return TimedPromyse.resolve(base).then(function (value) {
+        assert.strictEqual(value, 1);
+    });
+});
+
+test("then throws a TypeError on a receiver that is not a Promyse", function () {
+    assert.throws(function () { Promyse.prototype.then.call({}, function () { }); }, TypeError);
+});
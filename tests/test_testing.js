@@ -0,0 +1,173 @@
+// the promyse/testing entry point
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, TimeoutError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var testing = require(path.join(__dirname, "../", "dist", "testing.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+
+var { expectFulfilled, expectRejected, expectPending } = testing;
+
+// run fn with the virtual time installed, uninstalling it afterwards
+function withVirtualTime(fn) {
+    var time = testing.install();
+    try {
+        fn(time);
+    } finally {
+        time.uninstall();
+    }
+}
+
+test("the package exposes the entry point as promyse/testing", function () {
+    assert.strictEqual(require("promyse/testing"), testing);
+});
+
+test("the deep imports of the package still work", function () {
+    assert.strictEqual(require("promyse/dist/index.js").Promyse, Promyse);
+    assert.strictEqual(require("promyse/dist/testing.js"), testing);
+    assert.strictEqual(require("promyse/package.json").name, "promyse");
+});
+
+test("flushMicrotasks runs the reactions synchronously", function () {
+    withVirtualTime(function (time) {
+        var log = [];
+        var chained = Promyse.resolve(1)
+            .then(function (x) { log.push(x); return x + 1; })
+            .then(function (x) { log.push(x); return Promyse.resolve(x + 1); });
+
+        assert.deepStrictEqual(log, []);
+        expectPending(chained);
+
+        time.flushMicrotasks();
+        assert.deepStrictEqual(log, [1, 2]);
+        expectFulfilled(chained, 3);
+    });
+});
+
+test("the reactions queued before install are taken over by the virtual queue", function () {
+    var log = [];
+    Promyse.resolve(1).then(function (x) { log.push(x); });
+
+    withVirtualTime(function (time) {
+        Promyse.resolve(2).then(function (x) { log.push(x); });
+        assert.deepStrictEqual(log, []);
+
+        time.flushMicrotasks();
+        assert.deepStrictEqual(log, [1, 2]);
+    });
+});
+
+test("advanceBy fires the timers in order, running the reactions after each one", function () {
+    withVirtualTime(function (time) {
+        var log = [];
+        Promyse.delay(30, "c").then(function (v) { log.push(v); });
+        Promyse.delay(10, "a").then(function (v) {
+            log.push(v);
+            return Promyse.delay(10, "b");
+        }).then(function (v) { log.push(v); });
+
+        time.advanceBy(15);
+        assert.deepStrictEqual(log, ["a"]);
+        assert.strictEqual(time.now(), 15);
+
+        time.advanceBy(15);
+        assert.deepStrictEqual(log, ["a", "b", "c"]);
+        assert.strictEqual(time.now(), 30);
+    });
+});
+
+test("timeouts and retries can be stepped deterministically", function () {
+    withVirtualTime(function (time) {
+        var late = Promyse.delay(100, "late").timeout(50);
+        var attempts = 0;
+        var retried = Promyse.retry(function () {
+            attempts++;
+            if (attempts < 3) {
+                throw new Error("attempt " + attempts);
+            }
+            return "done";
+        }, { minTimeout: 1000 });
+
+        time.advanceBy(50);
+        expectRejected(late, TimeoutError);
+
+        time.advanceBy(1000);
+        assert.strictEqual(attempts, 2);
+        expectPending(retried);
+
+        time.advanceBy(2000);
+        expectFulfilled(retried, "done");
+    });
+});
+
+test("runAll fires every timer, the ones set meanwhile included", function () {
+    withVirtualTime(function (time) {
+        var chained = Promyse.delay(1000).then(function () {
+            return Promyse.delay(5000, "end");
+        });
+
+        time.runAll();
+        expectFulfilled(chained, "end");
+        assert.strictEqual(time.now(), 6000);
+        assert.strictEqual(time.pendingTimers, 0);
+    });
+});
+
+test("runAll gives up on a timer loop", function () {
+    withVirtualTime(function (time) {
+        function loop() {
+            return Promyse.delay(1).then(loop);
+        }
+        loop();
+        assert.throws(function () { time.runAll(); }, /timer loop/);
+    });
+});
+
+test("uninstall gives the time back to the real scheduler and clock", function () {
+    var time = testing.install();
+    var queued = Promyse.resolve("queued").then(function (x) { return x; });
+    time.uninstall();
+
+    // the reactions queued under the virtual time were run
+    expectFulfilled(queued, "queued");
+
+    var start = Date.now();
+    return Promyse.delay(10, "real").then(function (value) {
+        assert.strictEqual(value, "real");
+        assert.ok(Date.now() - start >= 9);
+    });
+});
+
+test("the assertion helpers check the state and the outcome", function () {
+    withVirtualTime(function (time) {
+        var error = new TypeError("rejected");
+        var fulfilled = Promyse.resolve({ a: [1] });
+        var rejected = Promyse.reject(error);
+
+        assert.deepStrictEqual(expectFulfilled(fulfilled, { a: [1] }), { a: [1] });
+        assert.throws(function () { expectFulfilled(fulfilled, { a: [2] }); }, assert.AssertionError);
+        assert.throws(function () { expectRejected(fulfilled); }, assert.AssertionError);
+        assert.throws(function () { expectPending(fulfilled); }, assert.AssertionError);
+
+        assert.strictEqual(expectRejected(rejected, TypeError), error);
+        expectRejected(rejected, function (reason) { return reason.message === "rejected"; });
+        expectRejected(rejected, error);
+        assert.throws(function () { expectRejected(rejected, RangeError); }, assert.AssertionError);
+
+        assert.throws(function () { expectFulfilled(Promise.resolve()); }, TypeError);
+        time.flushMicrotasks();
+    });
+});
+
+test("expectRejected handles the rejection", function () {
+    var unhandled = [];
+    Promyse.onUnhandledRejection = function (reason) { unhandled.push(reason); };
+
+    withVirtualTime(function (time) {
+        expectRejected(Promyse.reject(new Error("handled by the test")));
+        time.flushMicrotasks();
+    });
+
+    Promyse.onUnhandledRejection = null;
+    assert.deepStrictEqual(unhandled, []);
+});
@@ -0,0 +1,197 @@
+// Promyse.delay, promyse.timeout and Promyse.deadline
+
+var assert = require("assert");
+var path = require("path");
+var { Promyse, TimeoutError, CancelToken, CancellationError } = require(path.join(__dirname, "../", "dist", "index.js"));
+var { test } = require(path.join(__dirname, "harness.js"));
+var { delayed, flush } = require(path.join(__dirname, "helpers.js"));
+var createFakeClock = require(path.join(__dirname, "fake_clock.js"));
+
+// run fn with a fake clock, restoring the default one afterwards
+function withFakeClock(fn) {
+    var clock = createFakeClock();
+    Promyse.setClock(clock);
+    return Promise.resolve()
+        .then(function () { return fn(clock); })
+        .finally(function () { Promyse.setClock(null); });
+}
+
+test("Promyse.delay resolves with the value after the given time", function () {
+    return withFakeClock(function (clock) {
+        var delayed = Promyse.delay(100, "value");
+        clock.advance(99);
+        assert.ok(delayed.isPending());
+        clock.advance(1);
+        assert.strictEqual(delayed.value(), "value");
+    });
+});
+
+test("Promyse.delay clears its timer when the signal is aborted", function () {
+    return withFakeClock(function (clock) {
+        var source = CancelToken.source();
+        var delayed = Promyse.delay(100, "value", source.token);
+        delayed.catch(function () { });
+        source.cancel();
+        assert.strictEqual(clock.pending, 0);
+        assert.ok(delayed.reason() instanceof CancellationError);
+    });
+});
+
+test("Promyse.delay throws a TypeError for invalid milliseconds", function () {
+    assert.throws(function () { Promyse.delay(-1); }, TypeError);
+    assert.throws(function () { Promyse.delay("10"); }, TypeError);
+});
+
+test("timeout settles like the source when it is in time", function () {
+    return withFakeClock(function (clock) {
+        var limited = Promyse.delay(50, "in time").timeout(100);
+        clock.advance(50);
+        return flush().then(function () {
+            assert.strictEqual(limited.value(), "in time");
+        });
+    });
+});
+
+test("timeout clears its timer as soon as the source settles", function () {
+    return withFakeClock(function (clock) {
+        Promyse.resolve(1).timeout(100);
+        Promyse.reject(1).timeout(100).catch(function () { });
+        assert.strictEqual(clock.pending, 2);
+        return flush().then(function () {
+            assert.strictEqual(clock.pending, 0);
+        });
+    });
+});
+
+test("timeout rejects with a TimeoutError when the source is late", function () {
+    return withFakeClock(function (clock) {
+        var limited = new Promyse(function () { }).timeout(100, { message: "too slow" });
+        limited.catch(function () { });
+        clock.advance(100);
+        assert.ok(limited.reason() instanceof TimeoutError);
+        assert.strictEqual(limited.reason().name, "TimeoutError");
+        assert.strictEqual(limited.reason().message, "too slow");
+    });
+});
+
+test("timeout rejects with the custom error, if any", function () {
+    return withFakeClock(function (clock) {
+        var error = new Error("custom");
+        var limited = new Promyse(function () { }).timeout(10, { error: error });
+        limited.catch(function () { });
+        clock.advance(10);
+        assert.strictEqual(limited.reason(), error);
+    });
+});
+
+test("timeout accepts a Date as deadline", function () {
+    return withFakeClock(function (clock) {
+        var limited = new Promyse(function () { }).timeout(new Date(30));
+        limited.catch(function () { });
+        clock.advance(29);
+        assert.ok(limited.isPending());
+        clock.advance(1);
+        assert.ok(limited.reason() instanceof TimeoutError);
+    });
+});
+
+test("Promyse.deadline rejects with a TimeoutError at the given date", function () {
+    return withFakeClock(function (clock) {
+        clock.advance(1000);
+        var reached = Promyse.deadline(new Date(1500));
+        reached.catch(function () { });
+        clock.advance(499);
+        assert.ok(reached.isPending());
+        clock.advance(1);
+        assert.ok(reached.reason() instanceof TimeoutError);
+    });
+});
+
+test("Promyse.deadline of a past date rejects as soon as possible", function () {
+    return withFakeClock(function (clock) {
+        clock.advance(1000);
+        var reached = Promyse.deadline(10);
+        reached.catch(function () { });
+        clock.advance(0);
+        assert.ok(reached.reason() instanceof TimeoutError);
+    });
+});
+
+test("Promyse.deadline clears its timer when the signal is aborted", function () {
+    return withFakeClock(function (clock) {
+        var source = CancelToken.source();
+        Promyse.deadline(100, { signal: source.token }).catch(function () { });
+        source.cancel();
+        assert.strictEqual(clock.pending, 0);
+    });
+});
+
+test("the clock must have now, setTimeout and clearTimeout", function () {
+    assert.throws(function () { Promyse.setClock({ now: Date.now }); }, TypeError);
+});
+
+test("the default clock really waits", function () {
+    var start = Date.now();
+    return Promyse.delay(20, "real").then(function (value) {
+        assert.strictEqual(value, "real");
+        assert.ok(Date.now() - start >= 15);
+    });
+});
+
+test("the default clock waits in steps the delays longer than the host timers allow", function () {
+    var realSetTimeout = global.setTimeout;
+    var delays = [];
+    var callbacks = [];
+    var resolved = false;
+
+    // the host timers are recorded, not set, and fired by hand
+    global.setTimeout = function (cb, ms) {
+        delays.push(ms);
+        callbacks.push(cb);
+        return delays.length;
+    };
+    try {
+        Promyse.delay(Math.pow(2, 32) + 5, "late").then(function (value) { resolved = value; });
+        callbacks[0]();
+        callbacks[1]();
+    } finally {
+        global.setTimeout = realSetTimeout;
+    }
+
+    assert.deepStrictEqual(delays, [Math.pow(2, 31) - 1, Math.pow(2, 31) - 1, 7]);
+    return flush().then(function () {
+        assert.strictEqual(resolved, false);
+        callbacks[2]();
+        return flush();
+    }).then(function () {
+        assert.strictEqual(resolved, "late");
+    });
+});
+
+test("with the default clock, Infinity and delays longer than 2^31-1 ms do not fire at once", function () {
+    var source = CancelToken.source();
+    var fired = [];
+    var record = function (name) { return function () { fired.push(name); }; };
+    var resolveSource = null;
+
+    Promyse.delay(Infinity, null, source.token).then(record("delay Infinity"), function () { });
+    Promyse.delay(Math.pow(2, 32), null, source.token).then(record("delay 2^32"), function () { });
+    Promyse.deadline(new Date(Date.now() + 30 * 24 * 3600 * 1000), { signal: source.token })
+        .then(null, function (reason) {
+            if (!(reason instanceof CancellationError)) {
+                fired.push("deadline in 30 days");
+            }
+        });
+    new Promyse(function (resolve) { resolveSource = resolve; })
+        .timeout(Infinity)
+        .then(null, record("timeout Infinity"));
+
+    return delayed(30).then(function () {
+        // clear every timer, so that the process can exit
+        source.cancel();
+        resolveSource();
+        return flush();
+    }).then(function () {
+        assert.deepStrictEqual(fired, []);
+    });
+});
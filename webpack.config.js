@@ -1,15 +1,33 @@
 const path = require("path");
 
-module.exports = {
-    entry: "./src/index.js",
+const common = {
     target: "node",
     resolve: {
         extensions: [".js"]
     },
-    output: {
-        filename: "index.js",
-        library: "promyse",
-        libraryTarget: "commonjs2",
-        path: path.resolve(__dirname, "dist")
-    }
-};
\ No newline at end of file
+};
+
+module.exports = [
+    Object.assign({}, common, {
+        entry: "./src/index.js",
+        output: {
+            filename: "index.js",
+            library: "promyse",
+            libraryTarget: "commonjs2",
+            path: path.resolve(__dirname, "dist")
+        }
+    }),
+
+    // promyse/testing drives the main bundle, so it must not carry its own copy
+    Object.assign({}, common, {
+        entry: "./src/testing.js",
+        externals: {
+            "./index.js": "commonjs ./index.js"
+        },
+        output: {
+            filename: "testing.js",
+            libraryTarget: "commonjs2",
+            path: path.resolve(__dirname, "dist")
+        }
+    }),
+];